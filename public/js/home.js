@@ -1,8 +1,11 @@
 document.addEventListener('DOMContentLoaded', () => {
   const createBtn = document.getElementById('createSpace');
+  const spaceTitleInput = document.getElementById('spaceTitle');
   const spaceLinkDiv = document.getElementById('spaceLink');
   const spaceLinkInput = document.getElementById('spaceLinkInput');
   const copyLinkBtn = document.getElementById('copyLink');
+  const adminLinkInput = document.getElementById('adminLinkInput');
+  const copyAdminLinkBtn = document.getElementById('copyAdminLink');
   const goToSpaceBtn = document.getElementById('goToSpace');
 
   createBtn.addEventListener('click', async () => {
@@ -12,7 +15,11 @@ document.addEventListener('DOMContentLoaded', () => {
     try {
       const response = await fetch('/api/space/create', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          title: spaceTitleInput.value.trim() || undefined,
+          owner: localStorage.getItem('polyphony_user_name') || undefined
+        })
       });
 
       if (!response.ok) {
@@ -21,9 +28,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
       const data = await response.json();
       const spaceUrl = `${window.location.origin}/space/${data.spaceId}`;
+      const adminPath = `/space/${data.spaceId}?token=${encodeURIComponent(data.adminToken)}`;
 
-      spaceLinkInput.value = spaceUrl;
-      goToSpaceBtn.href = `/space/${data.spaceId}`;
+      spaceLinkInput.value = `${spaceUrl}?token=${encodeURIComponent(data.inviteToken)}`;
+      adminLinkInput.value = `${window.location.origin}${adminPath}`;
+      goToSpaceBtn.href = adminPath;
       spaceLinkDiv.classList.remove('hidden');
 
       createBtn.textContent = 'Generate Another Space';
@@ -35,21 +44,20 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  copyLinkBtn.addEventListener('click', async () => {
+  async function copyToClipboard(input, button) {
     try {
-      await navigator.clipboard.writeText(spaceLinkInput.value);
-      copyLinkBtn.textContent = 'Copied!';
-      setTimeout(() => {
-        copyLinkBtn.textContent = 'Copy';
-      }, 2000);
+      await navigator.clipboard.writeText(input.value);
     } catch (error) {
       // Fallback for older browsers
-      spaceLinkInput.select();
+      input.select();
       document.execCommand('copy');
-      copyLinkBtn.textContent = 'Copied!';
-      setTimeout(() => {
-        copyLinkBtn.textContent = 'Copy';
-      }, 2000);
     }
-  });
+    button.textContent = 'Copied!';
+    setTimeout(() => {
+      button.textContent = 'Copy';
+    }, 2000);
+  }
+
+  copyLinkBtn.addEventListener('click', () => copyToClipboard(spaceLinkInput, copyLinkBtn));
+  copyAdminLinkBtn.addEventListener('click', () => copyToClipboard(adminLinkInput, copyAdminLinkBtn));
 });
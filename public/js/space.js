@@ -11,13 +11,49 @@ document.addEventListener('DOMContentLoaded', () => {
     return;
   }
 
-  // User identity
-  const userId = localStorage.getItem('polyphony_user_id') || `user-${Math.random().toString(36).substr(2, 9)}`;
-  localStorage.setItem('polyphony_user_id', userId);
+  // Space token from the share link (?token=...) - kept per space and removed
+  // from the address bar so copying the URL does not leak an admin link
+  const spaceTokenKey = `polyphony_space_token:${spaceId}`;
+  const userTokenKey = `polyphony_user_token:${spaceId}`;
+  const linkToken = new URLSearchParams(window.location.search).get('token');
+  if (linkToken) {
+    localStorage.setItem(spaceTokenKey, linkToken);
+    window.history.replaceState(null, '', window.location.pathname);
+  }
+
+  // User identity - assigned by the server in room:joined
+  let userId = null;
 
   let userName = localStorage.getItem('polyphony_user_name') || '';
   let isAdmin = false;
   let groupChatEnabled = false;
+  let agentReplies = 'all'; // group chat: 'all' messages or only @agent 'mentions'
+  let keepAliveUntil = null; // ms timestamp the room is kept open until, even if empty
+
+  // Role in this space and the actions it allows - assigned by the server
+  let role = null;
+  let permissions = [];
+
+  // Everyone in the space - the roster: [{ userId, userName, role, isAdmin,
+  // spaceOwner, joinedAt, lastSeenAt, status, voice, agentWorking }]
+  let participants = [];
+
+  // Roles the admin can hand out from the participant panel
+  const ASSIGNABLE_ROLES = ['editor', 'contributor', 'viewer'];
+
+  // Shown to the others as idle after this long without input (or while the tab is hidden)
+  const IDLE_AFTER_MS = 2 * 60 * 1000;
+
+  // A canvas:resync not answered in time counts as failed; failed ones are
+  // tried again a few times before waiting for the next patch to retry
+  const CANVAS_RESYNC_TIMEOUT_MS = 10 * 1000;
+  const CANVAS_RESYNC_RETRY_MS = 3 * 1000;
+  const CANVAS_RESYNC_RETRIES = 3;
+  let lastInputAt = Date.now();
+  let reportedIdle = false;
+
+  // Voice state last sent to the server: 'off', 'on' or 'speaking'
+  let reportedVoice = 'off';
 
   // Elements
   const nameModal = document.getElementById('nameModal');
@@ -26,8 +62,14 @@ document.addEventListener('DOMContentLoaded', () => {
   const statusDot = document.getElementById('statusDot');
   const statusText = document.getElementById('statusText');
   const userCount = document.getElementById('userCount');
+  const participantPanel = document.getElementById('participantPanel');
+  const participantList = document.getElementById('participantList');
   const adminControls = document.getElementById('adminControls');
   const groupChatToggle = document.getElementById('groupChatToggle');
+  const mentionsOnlyToggle = document.getElementById('mentionsOnlyToggle');
+  const mentionsOnlyLabel = document.getElementById('mentionsOnlyLabel');
+  const transferAdminSelect = document.getElementById('transferAdminSelect');
+  const keepAliveInput = document.getElementById('keepAliveInput');
   const chatModeLabel = document.getElementById('chatModeLabel');
   const knowledgeTree = document.getElementById('knowledgeTree');
   const knowledgeSidebar = document.getElementById('knowledgeSidebar');
@@ -36,18 +78,32 @@ document.addEventListener('DOMContentLoaded', () => {
   const chatMessages = document.getElementById('chatMessages');
   const chatInput = document.getElementById('chatInput');
   const sendBtn = document.getElementById('sendBtn');
+  const stopBtn = document.getElementById('stopBtn');
   const uploadBtn = document.getElementById('uploadBtn');
   const fileInput = document.getElementById('fileInput');
   const exportBtn = document.getElementById('exportBtn');
+  const historyBtn = document.getElementById('historyBtn');
+  const historyPanel = document.getElementById('historyPanel');
+  const historyList = document.getElementById('historyList');
+  const historyDiff = document.getElementById('historyDiff');
   const voiceBtn = document.getElementById('voiceBtn');
 
   // Visualization renderer
   const vizRenderer = new VisualizationRenderer('sharedCanvas');
 
-  // Chat history (client-side only - private chat)
-  let conversationHistory = [];
+  // Chat history is kept by the server and replayed in room:joined
+  let historyShown = false;
   let pendingMessage = null;
 
+  // Agent replies being streamed: messageId -> { element, text, spokenLength }
+  const streamingReplies = new Map();
+
+  // Agent requests awaiting a reply (messages, expansions, diagrams) - can be stopped
+  const inFlightRequests = new Set();
+
+  // Requests waiting for the agent behind others in the space: messageId -> notice element
+  const queueNotices = new Map();
+
   // Socket connection
   let socket = null;
   
@@ -85,7 +141,14 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   function initializeSocket() {
-    socket = io({ transports: ['websocket', 'polling'] });
+    socket = io({
+      transports: ['websocket', 'polling'],
+      // Re-read on every (re)connect so a freshly issued user token is sent
+      auth: (cb) => cb({
+        token: localStorage.getItem(spaceTokenKey),
+        userToken: localStorage.getItem(userTokenKey)
+      })
+    });
     setupSocketHandlers();
   }
 
@@ -95,7 +158,6 @@ document.addEventListener('DOMContentLoaded', () => {
       statusText.textContent = 'Connected';
       socket.emit('room:join', {
         roomId: spaceId,
-        userId: userId,
         userName: userName
       });
     });
@@ -103,68 +165,169 @@ document.addEventListener('DOMContentLoaded', () => {
     socket.on('disconnect', () => {
       statusDot.className = 'status-dot disconnected';
       statusText.textContent = 'Disconnected';
+      // Requests keep running on the server for a while - room:resumed reports them
     });
 
-    socket.on('connect_error', () => {
+    socket.on('connect_error', (error) => {
       statusDot.className = 'status-dot disconnected';
       statusText.textContent = 'Connection Error';
+
+      // Rejected by the server's token check - retrying will not help
+      if (error.data?.code) {
+        statusText.textContent = error.data.code === 'SPACE_NOT_FOUND' ? 'Space not found' : 'Access denied';
+        chatInput.disabled = true;
+        sendBtn.disabled = true;
+        addSystemMessage(`${error.data.message}. Ask the space owner for an invite link.`, 'error');
+      }
     });
 
     // Room joined - receive initial state
     socket.on('room:joined', (data) => {
       console.log('Joined room:', data);
-      isAdmin = data.isAdmin;
-      groupChatEnabled = data.settings?.groupChatEnabled || false;
-      
-      console.log('Admin status:', isAdmin, 'Admin controls element:', adminControls);
+      applyRoomState(data);
 
-      // Show admin controls if admin
-      if (isAdmin) {
-        console.log('Showing admin controls');
-        adminControls.classList.remove('hidden');
-        groupChatToggle.checked = groupChatEnabled;
-      } else {
-        console.log('Not admin, keeping controls hidden');
+      // A new session: anything we were waiting for was dropped with the old one
+      for (const messageId of [...inFlightRequests]) {
+        finishRequest(messageId);
+      }
+
+      addSystemMessage(`Welcome, ${userName}! (${role})`);
+    });
+
+    // Back within the reconnect window - same session, agent work kept
+    socket.on('room:resumed', (data) => {
+      console.log('Resumed room session:', data);
+      const chatOnScreen = historyShown;
+      applyRoomState(data);
+
+      // Replay replies that arrived while we were away (a reloaded page
+      // already shows them as history)
+      if (chatOnScreen) {
+        for (const { event, data: payload } of data.missedEvents || []) {
+          socket.listeners(event).forEach(listener => listener(payload));
+        }
+      }
+
+      const pending = new Set(data.pendingRequests || []);
+      for (const messageId of [...inFlightRequests]) {
+        if (!pending.has(messageId)) finishRequest(messageId);
+      }
+      for (const messageId of pending) {
+        trackRequest(messageId);
+      }
+      if (pending.size > 0) showTypingIndicator();
+
+      addSystemMessage('Reconnected');
+    });
+
+    function applyRoomState(data) {
+      userId = data.userId;
+      localStorage.setItem(userTokenKey, data.userToken);
+      groupChatEnabled = data.settings?.groupChatEnabled || false;
+      agentReplies = data.settings?.agentReplies || 'all';
+      keepAliveUntil = data.settings?.keepAliveUntil || null;
+      setAdmin(data.isAdmin);
+      setPermissions(data.role, data.permissions);
+      updateParticipants(data.participants);
+
+      // A new connection starts out active and with voice off on the server
+      reportedIdle = false;
+      reportedVoice = 'off';
+      setVoiceState(voiceEnabled ? 'on' : 'off');
+      if (data.space?.title) {
+        document.title = `${data.space.title} - Polyphony.live`;
       }
 
       updateChatMode();
 
-      // Render existing canvas
-      if (data.canvas && data.canvas.length > 0) {
+      // Render existing canvas - canvas:patch events apply to its version
+      if (data.canvas?.hierarchy) {
+        if (data.canvas.version > 0) {
+          renderHierarchicalCanvas(data.canvas);
+        } else {
+          currentCanvasData = data.canvas;
+        }
+      } else if (data.canvas && data.canvas.length > 0) {
         renderCanvas(data.canvas);
       }
 
-      addSystemMessage(`Welcome, ${userName}!${isAdmin ? ' (Admin)' : ''}`);
-    });
+      // Reconnects rejoin too - the chat is already on screen then
+      if (!historyShown) {
+        renderConversation(data.history, data.transcript);
+        historyShown = true;
+      }
+    }
 
     socket.on('room:user_joined', (data) => {
       if (data.userId !== userId) {
         addSystemMessage(`${data.userName} joined`);
       }
       updateUserCount(data.activeUsers);
+      updateParticipants(data.participants);
     });
 
     socket.on('room:user_left', (data) => {
       addSystemMessage(`${data.userName} left`);
       updateUserCount(data.activeUsers);
+      updateParticipants(data.participants);
+    });
+
+    socket.on('room:role_changed', (data) => {
+      updateParticipants(data.participants);
+      addSystemMessage(data.userId === userId
+        ? `${data.changedBy} made you ${data.role}`
+        : `${data.changedBy} made ${data.userName} ${data.role}`
+      );
+    });
+
+    // Admin rights moved: succession, the owner returning, or a handover
+    socket.on('room:admin_changed', (data) => {
+      setAdmin(data.adminUserId === userId);
+      updateParticipants(data.participants);
+
+      const who = data.adminUserId === userId ? 'You are' : `${data.adminUserName} is`;
+      const why = {
+        admin_left: ' (the previous admin left)',
+        owner_returned: ' (the space owner is back)',
+        transfer: data.changedBy ? ` (handed over by ${data.changedBy})` : ''
+      }[data.reason] || '';
+      addSystemMessage(`${who} now the admin${why}`);
+    });
+
+    // Our own role changed - sent only to the affected user's connections
+    socket.on('room:permissions', (data) => {
+      setPermissions(data.role, data.permissions);
     });
 
     socket.on('room:active_users', (data) => {
       updateUserCount(data.count);
     });
 
+    // Someone's presence, voice or agent activity changed
+    socket.on('room:roster', (data) => {
+      updateParticipants(data.participants);
+    });
+
     // Message ACK
-    socket.on('message:ack', () => {
+    socket.on('message:ack', (data) => {
       if (pendingMessage) {
         chatInput.value = '';
         pendingMessage = null;
       }
+      // Group chat without an @agent mention - no reply is coming
+      if (data?.agentReplying === false) finishRequest(data.messageId);
+    });
+
+    // Group chat message from another participant
+    socket.on('chat:message', (data) => {
+      if (data.userId === userId) return; // already shown when sent
+      addMessage(data.userName, data.content, 'peer');
     });
 
     // Agent response (private)
     socket.on('agent:response', (data) => {
+      finishRequest(data.messageId);
       addMessage('Agent', data.content, 'agent');
-      conversationHistory.push({ role: 'assistant', content: data.content });
       
       // Speak agent response if voice is enabled
       if (voiceEnabled && agentVoiceEnabled && voiceChat) {
@@ -172,6 +335,61 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
 
+    // Streamed agent response (private, or to the room in group chat)
+    socket.on('agent:response_chunk', (data) => {
+      let reply = streamingReplies.get(data.messageId);
+      if (!reply) {
+        hideTypingIndicator();
+        reply = {
+          element: addMessage('Agent', '', 'agent'),
+          text: '',
+          spokenLength: 0,
+          // Only the asker's device reads a group chat reply aloud
+          own: inFlightRequests.has(data.messageId)
+        };
+        streamingReplies.set(data.messageId, reply);
+      }
+
+      reply.text += data.delta;
+      setMessageContent(reply.element, reply.text);
+      if (reply.own) speakCompletedSentences(reply);
+    });
+
+    socket.on('agent:response_done', (data) => {
+      const reply = streamingReplies.get(data.messageId);
+      const own = reply ? reply.own : inFlightRequests.has(data.messageId);
+      streamingReplies.delete(data.messageId);
+      finishRequest(data.messageId);
+
+      if (reply) {
+        setMessageContent(reply.element, data.content);
+        // Speak what is left after the last full sentence
+        const spokenSource = data.content.startsWith(reply.text) ? data.content : reply.text;
+        if (own) speakReply(spokenSource.slice(reply.spokenLength));
+      } else {
+        addMessage('Agent', data.content, 'agent');
+        if (own) speakReply(data.content);
+      }
+    });
+
+    socket.on('agent:cancelled', (data) => {
+      const reply = streamingReplies.get(data.messageId);
+      streamingReplies.delete(data.messageId);
+      finishRequest(data.messageId);
+
+      // Keep what was already streamed, but do not feed it back as history
+      if (reply) reply.element.classList.add('cancelled');
+      addSystemMessage('Request stopped');
+
+      // Clear loading states of a cancelled expansion or diagram
+      if (currentCanvasData) renderHierarchicalCanvas(currentCanvasData);
+    });
+
+    // Other agent work in the space goes first; position 0 = ours has started
+    socket.on('agent:queued', (data) => {
+      showQueuePosition(data.messageId, data.position);
+    });
+
     socket.on('agent:typing', showTypingIndicator);
     socket.on('agent:done', hideTypingIndicator);
 
@@ -180,75 +398,77 @@ document.addEventListener('DOMContentLoaded', () => {
       addCanvasItem(data.contribution);
     });
 
-    // Full canvas update (hierarchical)
+    // Canvas changes arrive as patches on the version before; a patch that
+    // does not follow the version we have means we missed one
+    socket.on('canvas:patch', (data) => {
+      if (canvasResyncPending) return;
+      if (currentCanvasData && data.version <= currentCanvasData.version) return;
+      if (currentCanvasData?.version !== data.baseVersion) {
+        requestCanvasResync();
+        return;
+      }
+
+      let canvas;
+      try {
+        canvas = applyCanvasPatch(structuredClone(currentCanvasData), data.ops);
+      } catch (error) {
+        console.error('Failed to apply canvas patch:', error);
+        requestCanvasResync();
+        return;
+      }
+      patchHierarchicalCanvas(canvas, data.ops);
+
+      // Keep an open history panel up to date
+      if (!historyPanel.classList.contains('hidden')) socket.emit('canvas:history');
+    });
+
+    // Full canvas (hierarchical) - sent after canvas:resync
     socket.on('canvas:full_update', (data) => {
-      currentCanvasData = data.canvas;
+      clearTimeout(canvasResyncTimer);
+      canvasResyncPending = false;
+      canvasResyncAttempts = 0;
+      if (currentCanvasData && data.canvas.version < currentCanvasData.version) return;
       renderHierarchicalCanvas(data.canvas);
+      if (!historyPanel.classList.contains('hidden')) socket.emit('canvas:history');
+    });
+
+    socket.on('canvas:resync_failed', (data) => {
+      console.error('Canvas resync failed:', data);
+      canvasResyncFailed();
+    });
+
+    // Canvas history: kept versions, and what changed between two of them
+    socket.on('canvas:history', (data) => {
+      renderHistoryPanel(data);
+    });
+
+    socket.on('canvas:diff', (data) => {
+      renderCanvasDiff(data);
+    });
+
+    socket.on('canvas:restored', (data) => {
+      addSystemMessage(`Canvas restored to version ${data.version} by ${data.restoredBy}`);
     });
     
     // Topic expansion update
     socket.on('canvas:topic_expanded', (data) => {
-      addSystemMessage(`Topic "${data.topicPath[data.topicPath.length - 1]}" expanded by ${data.expandedBy}`);
-      // Canvas will auto-update on next full_update
+      addSystemMessage(`Topic "${data.topicTitle}" expanded by ${data.expandedBy}`);
+      // The canvas itself changes with the canvas:patch
     });
     
-    // Topic diagram generated
+    // Topic diagram generated - the diagram itself comes with the canvas patch
     socket.on('canvas:diagram_generated', (data) => {
-      const { topicPath, diagram, requestedBy } = data;
-      
-      // Find the node in the current canvas
-      if (currentCanvasData && currentCanvasData.hierarchy) {
-        let current = currentCanvasData.hierarchy;
-        let targetNode = null;
-        
-        // Navigate to the target node
-        for (let i = 0; i < topicPath.length; i++) {
-          const index = topicPath[i];
-          if (i === topicPath.length - 1) {
-            targetNode = current[index];
-          } else {
-            current = current[index]?.children || [];
-          }
-        }
-        
-        if (targetNode) {
-          // Add diagram to the node's expanded content
-          if (!targetNode.expandedContent) {
-            targetNode.expandedContent = '';
-          }
-          targetNode.expandedContent += '\n\n' + diagram;
-          
-          // Re-render the canvas
-          renderHierarchicalCanvas(currentCanvasData);
-          
-          // Find and show the diagram in the DOM
-          setTimeout(() => {
-            const hierarchyDiv = document.getElementById('hierarchyRoot');
-            if (hierarchyDiv) {
-              // Find the node by path
-              let targetDiv = hierarchyDiv;
-              for (const index of topicPath) {
-                const children = targetDiv.querySelectorAll(':scope > .hierarchy-node');
-                targetDiv = children[index];
-                if (!targetDiv) break;
-              }
-              
-              if (targetDiv) {
-                const diagramDiv = targetDiv.querySelector('.hierarchy-diagram');
-                const expandedContent = targetDiv.querySelector('.hierarchy-expanded-content');
-                if (expandedContent) {
-                  expandedContent.classList.remove('hidden');
-                  // Re-render mermaid
-                  if (window.renderMermaidBlocks) {
-                    window.renderMermaidBlocks(expandedContent);
-                  }
-                }
-              }
-            }
-          }, 100);
-          
-          addSystemMessage(`Diagram generated for "${targetNode.title}"`);
+      const { nodeId, requestedBy } = data;
+
+      // Show the diagram, even if the node was collapsed
+      const nodeDiv = sharedCanvas.querySelector(`.hierarchy-node[data-node-id="${CSS.escape(nodeId)}"]`);
+      if (nodeDiv) {
+        setNodeCollapsed(nodeDiv, false);
+        if (window.renderMermaidBlocks) {
+          window.renderMermaidBlocks(nodeDiv);
         }
+        const title = nodeDiv.querySelector(':scope > .hierarchy-header .hierarchy-title').textContent;
+        addSystemMessage(`Diagram generated for "${title}"`);
       }
       
       // Remove loading state from button if this user requested it
@@ -273,10 +493,31 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Settings updates
     socket.on('settings:updated', (data) => {
+      const groupChatChanged = data.settings.groupChatEnabled !== groupChatEnabled;
+      const agentRepliesChanged = data.settings.agentReplies !== agentReplies;
+      const keepAliveChanged = (data.settings.keepAliveUntil || null) !== keepAliveUntil;
       groupChatEnabled = data.settings.groupChatEnabled;
+      agentReplies = data.settings.agentReplies;
+      keepAliveUntil = data.settings.keepAliveUntil || null;
       groupChatToggle.checked = groupChatEnabled;
+      mentionsOnlyToggle.checked = agentReplies === 'mentions';
+      keepAliveInput.value = toDateTimeLocal(keepAliveUntil);
       updateChatMode();
-      addSystemMessage(`${data.changedBy} ${groupChatEnabled ? 'enabled' : 'disabled'} group chat`);
+      if (groupChatChanged) {
+        addSystemMessage(`${data.changedBy} ${groupChatEnabled ? 'enabled' : 'disabled'} group chat`);
+      } else if (agentRepliesChanged) {
+        addSystemMessage(agentReplies === 'mentions'
+          ? `${data.changedBy} set the agent to answer only @agent mentions`
+          : `${data.changedBy} set the agent to answer every message`
+        );
+      } else if (keepAliveChanged) {
+        addSystemMessage(keepAliveUntil
+          ? `${data.changedBy} is keeping this room open until ${new Date(keepAliveUntil).toLocaleString()}`
+          : `${data.changedBy} stopped keeping this room open`
+        );
+      } else if (data.settings.llmProvider) {
+        addSystemMessage(`${data.changedBy} switched the agent to ${data.settings.llmProvider}`);
+      }
     });
 
     // File events
@@ -302,15 +543,63 @@ document.addEventListener('DOMContentLoaded', () => {
 
     socket.on('error', (data) => {
       console.error('Socket error:', data);
+      if (data.messageId) finishRequest(data.messageId);
+
+      // Unknown or expired space - stop reconnecting and disable input
+      if (data.code === 'SPACE_NOT_FOUND') {
+        socket.disconnect();
+        statusText.textContent = 'Space not found';
+        chatInput.disabled = true;
+        sendBtn.disabled = true;
+        addSystemMessage(`${data.message}. Create a new space from the home page.`, 'error');
+        return;
+      }
+
+      // Too many requests, or the space's AI allowance for today is used up
+      if (data.code === 'RATE_LIMITED') {
+        // The message stays in the input to send again later
+        if (pendingMessage?.messageId === data.messageId) pendingMessage = null;
+        // Clear the loading state of a refused expansion or diagram
+        if (currentCanvasData) renderHierarchicalCanvas(currentCanvasData);
+        addSystemMessage(`${data.message}. Try again ${formatRetryAfter(data.retryAfter)}.`, 'error');
+        return;
+      }
+
       addSystemMessage(`Error: ${data.message}`, 'error');
     });
 
     // Heartbeat
-    setInterval(() => {
-      if (socket?.connected) {
-        socket.emit('heartbeat', { roomId: spaceId, userId });
-      }
-    }, 30000);
+    setInterval(sendHeartbeat, 30000);
+  }
+
+  // Heartbeats also tell the others whether we are at the keyboard
+  function sendHeartbeat() {
+    if (!socket?.connected) return;
+    reportedIdle = isIdle();
+    socket.emit('heartbeat', { roomId: spaceId, userId, idle: reportedIdle });
+  }
+
+  function isIdle() {
+    return document.hidden || Date.now() - lastInputAt > IDLE_AFTER_MS;
+  }
+
+  // Coming back from idle shows up right away rather than at the next heartbeat
+  function noteActivity() {
+    lastInputAt = Date.now();
+    if (reportedIdle) sendHeartbeat();
+  }
+
+  for (const event of ['keydown', 'pointerdown', 'pointermove', 'wheel']) {
+    document.addEventListener(event, noteActivity, { passive: true });
+  }
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden !== reportedIdle) sendHeartbeat();
+  });
+
+  function setVoiceState(state) {
+    if (state === reportedVoice || !socket?.connected) return;
+    reportedVoice = state;
+    socket.emit('voice:state', { state });
   }
 
   // Admin: toggle group chat
@@ -318,11 +607,54 @@ document.addEventListener('DOMContentLoaded', () => {
     socket.emit('settings:set', { groupChatEnabled: groupChatToggle.checked });
   });
 
+  // Admin: in group chat, let the agent answer only when @-mentioned
+  mentionsOnlyToggle.addEventListener('change', () => {
+    socket.emit('settings:set', { agentReplies: mentionsOnlyToggle.checked ? 'mentions' : 'all' });
+  });
+
+  // Admin: keep the room (canvas, files, chat) alive until a time even if everyone leaves
+  keepAliveInput.addEventListener('change', () => {
+    const until = keepAliveInput.value ? new Date(keepAliveInput.value).getTime() : null;
+    socket.emit('settings:set', { keepAliveUntil: until });
+  });
+
+  // ms timestamp -> value for a datetime-local input (local time)
+  function toDateTimeLocal(timestamp) {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  // Admin: hand admin rights to another participant
+  transferAdminSelect.addEventListener('change', () => {
+    const target = participants.find(p => p.userId === transferAdminSelect.value);
+    transferAdminSelect.value = '';
+    if (target && confirm(`Make ${target.userName} the admin? You will lose the admin controls.`)) {
+      socket.emit('room:transfer_admin', { userId: target.userId });
+    }
+  });
+
+  function setAdmin(admin) {
+    isAdmin = admin;
+    console.log('Admin status:', isAdmin);
+    adminControls.classList.toggle('hidden', !isAdmin);
+    // Role pickers in the participant panel are for the admin only
+    renderParticipantPanel();
+    if (isAdmin) {
+      groupChatToggle.checked = groupChatEnabled;
+      mentionsOnlyToggle.checked = agentReplies === 'mentions';
+      keepAliveInput.value = toDateTimeLocal(keepAliveUntil);
+    }
+  }
+
   function updateChatMode() {
+    mentionsOnlyLabel.classList.toggle('hidden', !groupChatEnabled);
     if (groupChatEnabled) {
       chatModeLabel.textContent = 'Group Chat (visible to all)';
       chatModeLabel.classList.add('group-chat');
-      chatInput.placeholder = 'Message everyone...';
+      chatInput.placeholder = agentReplies === 'mentions'
+        ? 'Message everyone... (@agent to ask the agent)'
+        : 'Message everyone...';
     } else {
       chatModeLabel.textContent = 'Private chat with Agent';
       chatModeLabel.classList.remove('group-chat');
@@ -330,6 +662,20 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  function setPermissions(newRole, newPermissions = []) {
+    role = newRole;
+    permissions = newPermissions;
+
+    uploadBtn.classList.toggle('hidden', !can('file:upload'));
+    exportBtn.classList.toggle('hidden', !can('export:request'));
+    sharedCanvas.classList.toggle('no-diagrams', !can('canvas:generate_diagram'));
+    sharedCanvas.classList.toggle('no-node-edits', !can('canvas:edit_node'));
+  }
+
+  function can(action) {
+    return permissions.includes(action);
+  }
+
   // Send message
   function sendMessage() {
     const content = chatInput.value.trim();
@@ -337,20 +683,42 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const messageId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     pendingMessage = { messageId, content };
-    conversationHistory.push({ role: 'user', content });
 
     addMessage('You', content, 'user', true);
+    trackRequest(messageId);
 
     socket.emit('message:send', {
       content,
-      messageId,
-      conversationHistory
+      messageId
     });
 
     chatInput.focus();
   }
 
   sendBtn.addEventListener('click', sendMessage);
+  stopBtn.addEventListener('click', cancelRequests);
+
+  function trackRequest(messageId) {
+    inFlightRequests.add(messageId);
+    stopBtn.classList.remove('hidden');
+  }
+
+  function finishRequest(messageId) {
+    inFlightRequests.delete(messageId);
+    showQueuePosition(messageId, 0);
+    if (inFlightRequests.size === 0) {
+      stopBtn.classList.add('hidden');
+    }
+  }
+
+  // Ask the server to stop every request of ours; each ends with agent:cancelled
+  function cancelRequests() {
+    if (!socket) return;
+    for (const messageId of inFlightRequests) {
+      socket.emit('agent:cancel', { messageId });
+    }
+    if (voiceChat) voiceChat.stopSpeaking();
+  }
   chatInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -403,6 +771,13 @@ document.addEventListener('DOMContentLoaded', () => {
     addSystemMessage('Generating export...');
   });
 
+  historyBtn.addEventListener('click', () => {
+    historyPanel.classList.toggle('hidden');
+    if (historyPanel.classList.contains('hidden')) return;
+    historyDiff.classList.add('hidden');
+    socket.emit('canvas:history');
+  });
+
   // ═══════════════════════════════════════════════════════════════════════════
   // VOICE CHAT
   // ═══════════════════════════════════════════════════════════════════════════
@@ -412,16 +787,19 @@ document.addEventListener('DOMContentLoaded', () => {
       onTranscript: (text) => {
         // Final transcript - send as message
         removeInterimTranscript();
+        setVoiceState('on');
         sendVoiceMessage(text);
       },
       onInterimTranscript: (text) => {
         // Show interim transcript in UI
         showInterimTranscript(text);
+        setVoiceState('speaking');
       },
       onStart: () => {
         updateVoiceUI('listening');
       },
       onEnd: () => {
+        setVoiceState(voiceEnabled ? 'on' : 'off');
         if (voiceEnabled) {
           updateVoiceUI('enabled');
         } else {
@@ -463,14 +841,13 @@ document.addEventListener('DOMContentLoaded', () => {
     
     const messageId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     pendingMessage = { messageId, content: text };
-    conversationHistory.push({ role: 'user', content: text });
     
     addMessage('You', text, 'user', true);
+    trackRequest(messageId);
     
     socket.emit('message:send', {
       content: text,
-      messageId,
-      conversationHistory
+      messageId
     });
     
     // Pause listening while waiting for response
@@ -549,6 +926,7 @@ document.addEventListener('DOMContentLoaded', () => {
       voiceEnabled = false;
       voiceChat.disableVoiceMode();
       updateVoiceUI('disabled');
+      setVoiceState('off');
       addSystemMessage('Voice chat disabled');
     } else {
       // Enable voice
@@ -556,6 +934,7 @@ document.addEventListener('DOMContentLoaded', () => {
       voiceEnabled = true;
       await voiceChat.enableVoiceMode();
       updateVoiceUI('enabled');
+      setVoiceState('on');
       addSystemMessage('Voice chat enabled. Speak naturally, I\'ll respond!');
       
       // Load KittenTTS in background for better quality
@@ -594,6 +973,19 @@ document.addEventListener('DOMContentLoaded', () => {
     const placeholder = sharedCanvas.querySelector('.canvas-placeholder');
     if (placeholder) placeholder.remove();
 
+    const div = createCanvasItem(item);
+    sharedCanvas.appendChild(div);
+    
+    // Render mermaid diagrams in this item
+    if (window.renderMermaidBlocks) {
+      window.renderMermaidBlocks(div);
+    }
+    
+    if (scroll) sharedCanvas.scrollTop = sharedCanvas.scrollHeight;
+  }
+
+  // A contribution card (an agent contribution or diagram)
+  function createCanvasItem(item) {
     const div = document.createElement('div');
     div.className = `canvas-item ${item.type}`;
     div.dataset.id = item.id;
@@ -606,20 +998,12 @@ document.addEventListener('DOMContentLoaded', () => {
     div.innerHTML = `
       <div class="canvas-item-header">
         <span class="canvas-item-type">${item.type}</span>
-        <span class="canvas-item-user">${item.userName}</span>
+        <span class="canvas-item-user">${escapeHtml(item.userName)}</span>
       </div>
       <div class="canvas-item-content">${processedContent}</div>
       <div class="canvas-item-time">${time}</div>
     `;
-
-    sharedCanvas.appendChild(div);
-    
-    // Render mermaid diagrams in this item
-    if (window.renderMermaidBlocks) {
-      window.renderMermaidBlocks(div);
-    }
-    
-    if (scroll) sharedCanvas.scrollTop = sharedCanvas.scrollHeight;
+    return div;
   }
 
   // Decode HTML entities (e.g., &amp; -> &, --&gt; -> -->)
@@ -656,9 +1040,11 @@ document.addEventListener('DOMContentLoaded', () => {
     return processed;
   }
 
-  // Render hierarchical canvas (LangGraph agent's understanding)
+  // Render hierarchical canvas (LangGraph agent's understanding); nodes the
+  // user collapsed stay collapsed and the scroll position is kept
   function renderHierarchicalCanvas(canvas) {
     if (!canvas) return;
+    const view = captureCanvasView();
     
     // Clear canvas
     sharedCanvas.innerHTML = '';
@@ -697,28 +1083,201 @@ document.addEventListener('DOMContentLoaded', () => {
         </div>
       `;
     }
+
+    // Contributions not attached to a node on the canvas (or whose node was deleted)
+    const nodeIds = new Set();
+    const collectIds = (nodes) => (nodes || []).forEach(node => { nodeIds.add(node.id); collectIds(node.children); });
+    collectIds(canvas.hierarchy);
+    const unattached = (canvas.contributions || []).filter(c => !nodeIds.has(c.nodeId));
+    if (unattached.length > 0) {
+      const feed = document.createElement('div');
+      feed.className = 'canvas-contributions';
+      feed.innerHTML = '<h3>Contributions</h3>';
+      for (const contribution of unattached) {
+        feed.appendChild(createCanvasItem(contribution));
+      }
+      sharedCanvas.appendChild(feed);
+    }
     
-    sharedCanvas.scrollTop = 0;
+    restoreCanvasView(view, sharedCanvas);
+    if (window.renderMermaidBlocks) {
+      window.renderMermaidBlocks(sharedCanvas);
+    }
+  }
+
+  // Show a patched canvas: only the nodes the patch touched are rebuilt
+  // (a node whose children were added or removed is rebuilt with them)
+  function patchHierarchicalCanvas(canvas, ops) {
+    const hierarchyRoot = document.getElementById('hierarchyRoot');
+    const paths = [];
+    for (const { op, path } of ops) {
+      if (path === '/version' || path === '/lastUpdated') continue;
+      const nodePath = patchedNodePath(op, path);
+      if (!nodePath || !hierarchyRoot) {
+        renderHierarchicalCanvas(canvas);
+        return;
+      }
+      paths.push(nodePath);
+    }
+
+    currentCanvasData = canvas;
+    const version = sharedCanvas.querySelector('.canvas-version');
+    if (version) version.textContent = `v${canvas.version}`;
+
+    // Rebuilding a node rebuilds its descendants too
+    const isWithin = (path, ancestor) => ancestor.length < path.length && ancestor.every((index, i) => path[i] === index);
+    const outermost = paths.filter((path, i) => !paths.some((other, j) =>
+      isWithin(path, other) || (j < i && other.join() === path.join())));
+
+    const view = captureCanvasView();
+    for (const path of outermost) {
+      const element = findHierarchyElement(path);
+      const node = path.slice(1).reduce((parent, index) => parent?.children?.[index], canvas.hierarchy?.[path[0]]);
+      if (!element || !node) {
+        renderHierarchicalCanvas(canvas);
+        return;
+      }
+      const replacement = createHierarchyNode(node, path.length, path);
+      element.replaceWith(replacement);
+      restoreCanvasView(view, replacement);
+      if (window.renderMermaidBlocks) {
+        window.renderMermaidBlocks(replacement);
+      }
+    }
+  }
+
+  // The node a patch op changes, as an index path - for an op adding or
+  // removing a node, its parent. null if the op is outside the hierarchy's
+  // nodes (the central idea, the whole hierarchy or a top-level node list).
+  function patchedNodePath(op, path) {
+    const tokens = path.split('/').slice(1);
+    if (tokens[0] !== 'hierarchy' || tokens.length < 2) return null;
+
+    const indices = [];
+    for (let i = 1; i < tokens.length; i += 2) {
+      indices.push(tokens[i]);
+      if (tokens[i + 1] !== 'children') break;
+    }
+    if (op !== 'replace' && /^(\d+|-)$/.test(tokens[tokens.length - 1])) indices.pop();
+    return indices.length > 0 ? indices.map(Number) : null;
+  }
+
+  // Apply JSON Patch ops (add / remove / replace, see canvasPatch.js on the server)
+  function applyCanvasPatch(canvas, ops) {
+    for (const { op, path, value } of ops) {
+      if (path === '') {
+        canvas = value;
+        continue;
+      }
+      const tokens = path.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+      const key = tokens.pop();
+      const target = tokens.reduce((parent, token) => parent[token], canvas);
+
+      if (Array.isArray(target)) {
+        const index = key === '-' ? target.length : Number(key);
+        if (op === 'add') target.splice(index, 0, value);
+        else if (op === 'remove') target.splice(index, 1);
+        else target[index] = value;
+      } else if (op === 'remove') {
+        delete target[key];
+      } else {
+        target[key] = value;
+      }
+    }
+    return canvas;
+  }
+
+  function requestCanvasResync() {
+    clearTimeout(canvasResyncTimer);
+    canvasResyncPending = true;
+    canvasResyncAttempts++;
+    canvasResyncTimer = setTimeout(canvasResyncFailed, CANVAS_RESYNC_TIMEOUT_MS);
+    socket.emit('canvas:resync');
+  }
+
+  // Stop dropping patches, and try again unless we already did a few times
+  function canvasResyncFailed() {
+    clearTimeout(canvasResyncTimer);
+    canvasResyncPending = false;
+    if (canvasResyncAttempts < CANVAS_RESYNC_RETRIES) {
+      canvasResyncTimer = setTimeout(requestCanvasResync, CANVAS_RESYNC_RETRY_MS);
+    } else {
+      canvasResyncAttempts = 0;
+      addSystemMessage('Could not reload the canvas. It will try again on the next change.', 'error');
+    }
+  }
+
+  function findHierarchyElement(path) {
+    return sharedCanvas.querySelector(`.hierarchy-node[data-path="${JSON.stringify(path)}"]`);
+  }
+
+  // What the user did to the canvas view: the nodes they collapsed (by node
+  // id, so they are found again after a redraw) and how far they scrolled
+  function captureCanvasView() {
+    const collapsed = new Set();
+    for (const div of sharedCanvas.querySelectorAll('.hierarchy-node')) {
+      if (div.querySelector(':scope > .hierarchy-header.collapsed')) collapsed.add(div.dataset.nodeId);
+    }
+    return { collapsed, scrollTop: sharedCanvas.scrollTop };
+  }
+
+  function restoreCanvasView(view, container) {
+    for (const div of container.querySelectorAll('.hierarchy-node')) {
+      if (view.collapsed.has(div.dataset.nodeId)) setNodeCollapsed(div, true);
+    }
+    if (container.matches('.hierarchy-node') && view.collapsed.has(container.dataset.nodeId)) {
+      setNodeCollapsed(container, true);
+    }
+    sharedCanvas.scrollTop = view.scrollTop;
+  }
+
+  // Hide or show a node's expanded content and children
+  function setNodeCollapsed(div, collapsed) {
+    const header = div.querySelector(':scope > .hierarchy-header');
+    const expandedContent = div.querySelector(':scope > .hierarchy-expanded-content');
+    const childrenDiv = div.querySelector(':scope > .hierarchy-children');
+    if (!expandedContent && !childrenDiv) return;
+
+    expandedContent?.classList.toggle('hidden', collapsed);
+    childrenDiv?.classList.toggle('hidden', collapsed);
+    header.querySelector('.hierarchy-toggle').textContent = collapsed ? '▶' : '▼';
+    header.classList.toggle('expanded', !collapsed);
+    header.classList.toggle('collapsed', collapsed);
   }
   
   // Track current canvas for path tracking
   let currentCanvasData = null;
+  // Waiting for the whole canvas after a missed patch
+  let canvasResyncPending = false;
+  let canvasResyncAttempts = 0;
+  let canvasResyncTimer = null;
   
   function createHierarchyNode(node, level, path = []) {
     const div = document.createElement('div');
     div.className = `hierarchy-node level-${level}`;
+    // Index path for applying patches; requests name the node by id
     div.dataset.path = JSON.stringify(path);
+    div.dataset.nodeId = node.id;
     
     const importance = node.importance || 5;
     const importanceClass = importance >= 8 ? 'high' : importance >= 5 ? 'medium' : 'low';
     const hasChildren = node.children && node.children.length > 0;
     const isExpanded = node.expandedContent || hasChildren;
+    const index = path[path.length - 1];
+    const siblingCount = nodeSiblings(path)?.length || 0;
     
     div.innerHTML = `
       <div class="hierarchy-header ${importanceClass} ${isExpanded ? 'expanded' : 'expandable'}" data-expandable="true">
         <span class="hierarchy-toggle">${isExpanded ? '▼' : '▶'}</span>
         <span class="hierarchy-title">${escapeHtml(node.title)}</span>
+        ${node.pinned ? '<span class="hierarchy-badge" title="Pinned: kept as it is when the canvas is redrawn">📌</span>' : ''}
+        ${node.editedBy ? `<span class="hierarchy-badge" title="Edited by ${escapeHtml(node.editedBy.userName || 'someone')}">✎</span>` : ''}
         <span class="hierarchy-importance" title="Importance: ${importance}/10">${importance}</span>
+        <button class="node-action-btn" data-action="up" title="Move up"${index > 0 ? '' : ' disabled'}>↑</button>
+        <button class="node-action-btn" data-action="down" title="Move down"${index < siblingCount - 1 ? '' : ' disabled'}>↓</button>
+        <button class="node-action-btn${node.pinned ? ' active' : ''}" data-action="pin" title="${node.pinned ? 'Unpin' : 'Pin: keep as it is when the canvas is redrawn'}">📌</button>
+        <button class="node-action-btn" data-action="edit" title="Edit">✎</button>
+        <button class="node-action-btn" data-action="delete" title="Delete">✕</button>
         <button class="mermaid-btn" title="Generate diagram for this topic">
           <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
@@ -736,30 +1295,18 @@ document.addEventListener('DOMContentLoaded', () => {
     // Add click handler for expansion
     const header = div.querySelector('.hierarchy-header');
     header.addEventListener('click', (e) => {
-      // Don't expand if clicking the mermaid button
-      if (e.target.closest('.mermaid-btn')) return;
+      // Don't expand if clicking the mermaid button or an edit button
+      if (e.target.closest('.mermaid-btn, .node-action-btn')) return;
       
       // If already has expanded content, just toggle visibility
-      const expandedContent = div.querySelector('.hierarchy-expanded-content');
-      const childrenDiv = div.querySelector('.hierarchy-children');
+      const expandedContent = div.querySelector(':scope > .hierarchy-expanded-content');
+      const childrenDiv = div.querySelector(':scope > .hierarchy-children');
       
       if (expandedContent || childrenDiv) {
-        // Toggle existing content
-        if (expandedContent) {
-          expandedContent.classList.toggle('hidden');
-        }
-        if (childrenDiv) {
-          childrenDiv.classList.toggle('hidden');
-        }
-        
-        // Update toggle icon
-        const toggle = header.querySelector('.hierarchy-toggle');
-        toggle.textContent = toggle.textContent === '▼' ? '▶' : '▼';
-        header.classList.toggle('expanded');
-        header.classList.toggle('collapsed');
-      } else {
+        setNodeCollapsed(div, !header.classList.contains('collapsed'));
+      } else if (can('canvas:expand_topic')) {
         // Request expansion from agent
-        requestTopicExpansion(node, path, div, header);
+        requestTopicExpansion(node, header);
       }
     });
     
@@ -767,8 +1314,26 @@ document.addEventListener('DOMContentLoaded', () => {
     const mermaidBtn = div.querySelector('.mermaid-btn');
     mermaidBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      requestTopicDiagram(node, path, div, mermaidBtn);
+      requestTopicDiagram(node, mermaidBtn);
     });
+
+    for (const button of header.querySelectorAll('.node-action-btn')) {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleNodeAction(button.dataset.action, node, div, path);
+      });
+    }
+    
+    // Agent contributions attached to this node
+    const contributions = (currentCanvasData?.contributions || []).filter(c => c.nodeId === node.id);
+    if (contributions.length > 0) {
+      const contributionsDiv = document.createElement('div');
+      contributionsDiv.className = 'hierarchy-contributions';
+      for (const contribution of contributions) {
+        contributionsDiv.appendChild(createCanvasItem(contribution));
+      }
+      div.appendChild(contributionsDiv);
+    }
     
     // Add children
     if (hasChildren) {
@@ -786,7 +1351,81 @@ document.addEventListener('DOMContentLoaded', () => {
     return div;
   }
   
-  function requestTopicExpansion(node, path, nodeDiv, header) {
+  // The list a node at an index path is in (the top-level list for a top-level node)
+  function nodeSiblings(path) {
+    if (!currentCanvasData) return null;
+    return path.slice(0, -1).reduce((siblings, index) => siblings?.[index]?.children, currentCanvasData.hierarchy);
+  }
+
+  // Edit buttons on a node's header; the change comes back as a canvas:patch
+  function handleNodeAction(action, node, div, path) {
+    if (!socket) return;
+    const parentPath = path.slice(0, -1);
+    const parentId = parentPath.length > 0
+      ? parentPath.slice(1).reduce((parent, index) => parent?.children?.[index], currentCanvasData.hierarchy[parentPath[0]])?.id
+      : null;
+    const index = path[path.length - 1];
+
+    switch (action) {
+      case 'up':
+      case 'down':
+        socket.emit('canvas:move_node', { nodeId: node.id, parentId, index: action === 'up' ? index - 1 : index + 1 });
+        break;
+      case 'pin':
+        socket.emit('canvas:pin_node', { nodeId: node.id, pinned: !node.pinned });
+        break;
+      case 'edit':
+        openNodeEditor(node, div);
+        break;
+      case 'delete':
+        if (confirm(`Delete "${node.title}"${node.children?.length ? ' and everything under it' : ''}? The agent will not bring it back.`)) {
+          socket.emit('canvas:delete_node', { nodeId: node.id });
+        }
+        break;
+    }
+  }
+
+  // Inline form for a node's title, content and importance; only changed fields are sent
+  function openNodeEditor(node, div) {
+    if (div.querySelector(':scope > .hierarchy-edit-form')) return;
+
+    const form = document.createElement('form');
+    form.className = 'hierarchy-edit-form';
+    form.innerHTML = `
+      <input type="text" name="title" maxlength="200" required>
+      <textarea name="content" rows="4" maxlength="5000" placeholder="Content"></textarea>
+      <label>Importance <input type="number" name="importance" min="1" max="10" step="1"></label>
+      <div class="hierarchy-edit-actions">
+        <button type="button" class="export-btn" data-action="cancel">Cancel</button>
+        <button type="submit" class="export-btn">Save</button>
+      </div>
+    `;
+    form.elements.title.value = node.title;
+    form.elements.content.value = node.content || '';
+    form.elements.importance.value = node.importance || 5;
+
+    form.querySelector('[data-action="cancel"]').addEventListener('click', () => form.remove());
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const changes = {};
+      const title = form.elements.title.value.trim();
+      const content = form.elements.content.value;
+      const importance = parseInt(form.elements.importance.value);
+      if (title && title !== node.title) changes.title = title;
+      if (content !== (node.content || '')) changes.content = content;
+      if (importance !== (node.importance || 5)) changes.importance = importance;
+
+      if (Object.keys(changes).length > 0) {
+        socket.emit('canvas:edit_node', { nodeId: node.id, ...changes });
+      }
+      form.remove();
+    });
+
+    div.querySelector(':scope > .hierarchy-header').after(form);
+    form.elements.title.focus();
+  }
+
+  function requestTopicExpansion(node, header) {
     if (!socket) return;
     
     // Show loading state
@@ -798,14 +1437,15 @@ document.addEventListener('DOMContentLoaded', () => {
     addSystemMessage(`Exploring: "${node.title}"...`);
     
     // Emit expansion request
+    const messageId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    trackRequest(messageId);
     socket.emit('canvas:expand_topic', {
-      topicPath: path,
-      topicTitle: node.title,
-      topicContent: node.content || ''
+      messageId,
+      nodeId: node.id
     });
   }
   
-  function requestTopicDiagram(node, path, nodeDiv, button) {
+  function requestTopicDiagram(node, button) {
     if (!socket) return;
     
     // Show loading state
@@ -816,10 +1456,11 @@ document.addEventListener('DOMContentLoaded', () => {
     addSystemMessage(`Generating diagram for: "${node.title}"...`);
     
     // Emit diagram request
+    const messageId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    trackRequest(messageId);
     socket.emit('canvas:generate_diagram', {
-      topicPath: path,
-      topicTitle: node.title,
-      topicContent: node.content || ''
+      messageId,
+      nodeId: node.id
     });
   }
 
@@ -829,12 +1470,67 @@ document.addEventListener('DOMContentLoaded', () => {
     div.className = `message ${type}${isOwn ? ' own' : ''}`;
 
     div.innerHTML = `
-      <div class="sender">${sender}</div>
+      <div class="sender">${escapeHtml(sender)}</div>
       <div class="content">${escapeHtml(content)}</div>
     `;
 
     chatMessages.appendChild(div);
     chatMessages.scrollTop = chatMessages.scrollHeight;
+    return div;
+  }
+
+  // Our private history with the agent and the room's group chat, shown on join
+  function renderConversation(history = [], transcript = []) {
+    const entries = [
+      ...history.map(message => ({
+        type: message.role === 'user' ? 'user' : 'agent',
+        userId,
+        content: message.content,
+        timestamp: message.timestamp
+      })),
+      ...transcript
+    ].sort((a, b) => a.timestamp - b.timestamp);
+
+    if (entries.length === 0) return;
+    addSystemMessage('Earlier in this space');
+    for (const entry of entries) {
+      if (entry.type === 'agent') {
+        addMessage('Agent', entry.content, 'agent');
+      } else if (entry.userId === userId) {
+        addMessage('You', entry.content, 'user', true);
+      } else {
+        addMessage(entry.userName, entry.content, 'peer');
+      }
+    }
+  }
+
+  function setMessageContent(messageElement, content) {
+    // Only follow the stream if the user has not scrolled up
+    const atBottom = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 40;
+    messageElement.querySelector('.content').textContent = content;
+    if (atBottom) chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
+  // Voice mode: speak each finished sentence of a streamed reply as it arrives
+  function speakCompletedSentences(reply) {
+    let sentence;
+    while ((sentence = reply.text.slice(reply.spokenLength).match(/^[\s\S]*?[.!?]+(?=\s)/))) {
+      reply.spokenLength += sentence[0].length;
+      speakReply(sentence[0]);
+    }
+  }
+
+  function speakReply(text) {
+    if (voiceEnabled && agentVoiceEnabled && voiceChat && text.trim()) {
+      voiceChat.enqueueSpeech(text.trim());
+    }
+  }
+
+  function formatRetryAfter(seconds) {
+    if (seconds < 60) return `in ${seconds}s`;
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) return `in ${minutes} min`;
+    return `in ${Math.floor(minutes / 60)}h ${minutes % 60} min`;
   }
 
   function addSystemMessage(content, type = 'info') {
@@ -849,6 +1545,162 @@ document.addEventListener('DOMContentLoaded', () => {
     userCount.textContent = `${count} user${count !== 1 ? 's' : ''}`;
   }
 
+  // Participants: listed in the participant panel and offered as
+  // candidates for an admin handover
+  function updateParticipants(list) {
+    if (!list) return;
+    participants = list;
+    renderParticipantPanel();
+
+    transferAdminSelect.innerHTML = '<option value="">Make admin…</option>';
+    for (const p of participants) {
+      if (p.userId === userId) continue;
+      const option = document.createElement('option');
+      option.value = p.userId;
+      option.textContent = p.userName;
+      transferAdminSelect.appendChild(option);
+    }
+  }
+
+  // The user count opens the participant panel
+  userCount.addEventListener('click', () => {
+    participantPanel.classList.toggle('hidden');
+  });
+
+  function renderParticipantPanel() {
+    participantList.innerHTML = '';
+    for (const p of participants) {
+      const li = document.createElement('li');
+      li.className = `participant ${p.status}`;
+      li.title = `Joined ${new Date(p.joinedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+      const badges = [
+        p.isAdmin && '<span class="participant-badge admin">admin</span>',
+        p.voice === 'speaking' && '<span class="participant-badge speaking">speaking</span>',
+        p.voice === 'on' && '<span class="participant-badge voice">voice</span>',
+        p.agentWorking && '<span class="participant-badge working">agent working…</span>'
+      ].filter(Boolean).join('');
+
+      li.innerHTML = `
+        <span class="presence-dot" title="${p.status}"></span>
+        <span class="participant-name">${escapeHtml(p.userName)}${p.userId === userId ? ' (you)' : ''}</span>
+        ${badges}
+      `;
+
+      // The admin assigns roles here; the admin and the space owner keep theirs
+      if (isAdmin && p.userId !== userId && !p.isAdmin && !p.spaceOwner) {
+        const select = document.createElement('select');
+        select.className = 'participant-role-select';
+        for (const r of ASSIGNABLE_ROLES) {
+          select.add(new Option(r, r, false, r === p.role));
+        }
+        select.addEventListener('change', () => {
+          socket.emit('room:set_role', { userId: p.userId, role: select.value });
+        });
+        li.appendChild(select);
+      } else {
+        const roleLabel = document.createElement('span');
+        roleLabel.className = 'participant-role';
+        roleLabel.textContent = p.role;
+        li.appendChild(roleLabel);
+      }
+
+      participantList.appendChild(li);
+    }
+  }
+
+  // Canvas history: each kept version with what changed it; older ones can
+  // be compared with the current canvas, and restored by the owner
+  function renderHistoryPanel({ versions, currentVersion }) {
+    historyList.innerHTML = '';
+    if (versions.length === 0) {
+      historyList.innerHTML = '<li class="history-empty">No canvas versions yet.</li>';
+      return;
+    }
+
+    for (const v of versions) {
+      const isCurrent = v.version === currentVersion;
+      const li = document.createElement('li');
+      li.className = `history-version${isCurrent ? ' current' : ''}`;
+      li.title = `${v.centralIdea || 'No central idea'} (${v.topicCount} theme${v.topicCount === 1 ? '' : 's'})`;
+
+      li.innerHTML = `
+        <span class="history-label">v${v.version}</span>
+        <span class="history-trigger">${escapeHtml(describeCanvasChange(v.trigger))}</span>
+        <span class="history-time">${new Date(v.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+      `;
+
+      if (!isCurrent) {
+        const diffBtn = document.createElement('button');
+        diffBtn.className = 'history-action';
+        diffBtn.textContent = 'Diff';
+        diffBtn.title = 'What changed since this version';
+        diffBtn.addEventListener('click', () => {
+          socket.emit('canvas:diff', { from: v.version });
+        });
+        li.appendChild(diffBtn);
+
+        if (can('canvas:restore')) {
+          const restoreBtn = document.createElement('button');
+          restoreBtn.className = 'history-action';
+          restoreBtn.textContent = 'Restore';
+          restoreBtn.addEventListener('click', () => {
+            if (!confirm(`Restore the canvas to version ${v.version}? Everyone will see the change.`)) return;
+            socket.emit('canvas:restore', { version: v.version });
+          });
+          li.appendChild(restoreBtn);
+        }
+      }
+
+      historyList.appendChild(li);
+    }
+  }
+
+  function describeCanvasChange(trigger = {}) {
+    const by = trigger.userName && trigger.userId !== 'system' ? ` by ${trigger.userName}` : '';
+    switch (trigger.type) {
+      case 'refresh':
+        return `Redrawn${by}`;
+      case 'expand':
+        return `"${trigger.topic}" expanded${by}`;
+      case 'diagram':
+        return `Diagram for "${trigger.topic}"${by}`;
+      case 'restore':
+        return `Restored v${trigger.restoredVersion}${by}`;
+      case 'edit':
+        return `"${trigger.topic}" edited${by}`;
+      case 'delete':
+        return `"${trigger.topic}" deleted${by}`;
+      case 'move':
+        return `"${trigger.topic}" moved${by}`;
+      case 'pin':
+        return `"${trigger.topic}" pinned${by}`;
+      case 'unpin':
+        return `"${trigger.topic}" unpinned${by}`;
+      case 'contribute':
+        return `Agent added "${trigger.topic}"${by ? ` for ${trigger.userName}` : ''}`;
+      default:
+        return `Updated${by}`;
+    }
+  }
+
+  function renderCanvasDiff({ from, to, diff }) {
+    const path = (p) => escapeHtml(p.join(' > '));
+    const lines = [
+      diff.centralIdea && `<li class="diff-changed">Central idea: ${escapeHtml(diff.centralIdea.from || 'none')} → ${escapeHtml(diff.centralIdea.to || 'none')}</li>`,
+      ...diff.added.map(t => `<li class="diff-added">+ ${path(t.path)}</li>`),
+      ...diff.removed.map(t => `<li class="diff-removed">− ${path(t.path)}</li>`),
+      ...diff.moved.map(t => `<li class="diff-moved">↷ ${path(t.from)} → ${path(t.to)}</li>`),
+      ...diff.changed.map(t => `<li class="diff-changed">~ ${path(t.path)} (${t.fields.join(', ')})</li>`)
+    ].filter(Boolean);
+
+    historyDiff.innerHTML = `
+      <strong>v${from} → v${to}</strong>
+      ${lines.length ? `<ul>${lines.join('')}</ul>` : '<p class="history-empty">No changes.</p>'}
+    `;
+    historyDiff.classList.remove('hidden');
+  }
+
   function updateKnowledgeTree(data) {
     if (!data?.topics?.length) {
       knowledgeTree.innerHTML = '<p class="empty">No knowledge entries yet.</p>';
@@ -915,6 +1767,24 @@ document.addEventListener('DOMContentLoaded', () => {
 
   let typingIndicator = null;
 
+  function showQueuePosition(messageId, position) {
+    let notice = queueNotices.get(messageId);
+    if (position === 0) {
+      notice?.remove();
+      queueNotices.delete(messageId);
+      return;
+    }
+
+    if (!notice) {
+      notice = document.createElement('div');
+      notice.className = 'message system info';
+      chatMessages.appendChild(notice);
+      queueNotices.set(messageId, notice);
+    }
+    notice.textContent = `Waiting for the agent: ${position} request${position === 1 ? '' : 's'} ahead of yours`;
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
   function showTypingIndicator() {
     if (typingIndicator) return;
     typingIndicator = document.createElement('div');
@@ -1323,6 +2193,9 @@ document.addEventListener('DOMContentLoaded', () => {
     if (vectorCloud && data.points) {
       vectorCloud.setData(data.points);
     }
+    if (data.dimensions) {
+      document.getElementById('vectorDimensions').textContent = data.dimensions;
+    }
   });
 
   // Update knowledge tree in vector view when it changes
@@ -24,6 +24,9 @@ export class VoiceChat {
     // State
     this.isListening = false;
     this.isSpeaking = false;
+    this.speechQueue = []; // Sentences waiting to be spoken (streamed replies)
+    this.isDrainingSpeechQueue = false;
+    this.resumeListeningAfterQueue = false;
     this.isModelLoading = false;
     this.isModelLoaded = false;
     this.recognition = null;
@@ -307,12 +310,42 @@ export class VoiceChat {
     // Stop any ongoing speech
     this.stopSpeaking();
     
+    return this.speakUtterance(text, options);
+  }
+
+  /**
+   * Queue text to be spoken after whatever is already playing
+   * (used to speak streamed replies sentence by sentence)
+   */
+  enqueueSpeech(text, options = {}) {
+    if (!text) return;
+    this.speechQueue.push(text);
+    if (!this.isDrainingSpeechQueue) {
+      this.drainSpeechQueue(options);
+    }
+  }
+
+  async drainSpeechQueue(options) {
+    this.isDrainingSpeechQueue = true;
+    while (this.speechQueue.length > 0) {
+      await this.speakUtterance(this.speechQueue.shift(), options);
+    }
+    this.isDrainingSpeechQueue = false;
+  }
+
+  /**
+   * Speak one piece of text, pausing recognition until the queue is empty
+   */
+  async speakUtterance(text, options = {}) {
+    this.haltPlayback();
+    
     this.isSpeaking = true;
     this.onTTSStart();
     
     // Pause listening while speaking to avoid feedback loop
-    const wasListening = this.isListening;
-    if (wasListening) {
+    const wasListening = this.isListening || this.resumeListeningAfterQueue;
+    this.resumeListeningAfterQueue = false;
+    if (this.isListening) {
       this.stopListening();
     }
     
@@ -334,8 +367,10 @@ export class VoiceChat {
       this.isSpeaking = false;
       this.onTTSEnd();
       
-      // Resume listening if it was active
-      if (wasListening && this.shouldBeListening) {
+      // Resume listening if it was active - once the queued sentences are done
+      if (this.speechQueue.length > 0) {
+        this.resumeListeningAfterQueue = wasListening;
+      } else if (wasListening && this.shouldBeListening) {
         setTimeout(() => this.startListening(), 200);
       }
     }
@@ -440,6 +475,15 @@ export class VoiceChat {
    * Stop speaking
    */
   stopSpeaking() {
+    this.speechQueue = [];
+    this.haltPlayback();
+    this.isSpeaking = false;
+  }
+
+  /**
+   * Cut off whatever is currently being played
+   */
+  haltPlayback() {
     if (this.synthesis) {
       this.synthesis.cancel();
     }
@@ -449,8 +493,6 @@ export class VoiceChat {
       this.audioContext.suspend();
       this.audioContext.resume();
     }
-    
-    this.isSpeaking = false;
   }
 
   /**
@@ -665,6 +707,10 @@ export class VoiceButton {
     return this.voiceChat.speak(text, options);
   }
 
+  enqueueSpeech(text, options) {
+    return this.voiceChat.enqueueSpeech(text, options);
+  }
+
   destroy() {
     this.voiceChat.destroy();
     this.container.innerHTML = '';
@@ -1,16 +1,98 @@
 import { v4 as uuidv4 } from 'uuid';
+import { TOKEN_TYPES } from '../services/auth/tokenService.js';
+import { ROLES, ASSIGNABLE_ROLES, DEFAULT_ROLE, can, permissionsFor } from '../services/auth/roles.js';
+import { ADMIN_SOURCES } from '../services/agent/langGraphAgent.js';
+import { ConversationHistory } from '../services/agent/conversationHistory.js';
+
+// Group chat messages addressed to the agent
+const AGENT_MENTION = /(^|\s)@(agent|polyphony)\b/i;
+
+// How long a disconnected user's session (and agent work) is kept for them to resume
+const graceSeconds = parseInt(process.env.RECONNECT_GRACE_SECONDS);
+const RECONNECT_GRACE_MS = (Number.isNaN(graceSeconds) ? 30 : graceSeconds) * 1000;
+
+// How long an empty room is kept before it is saved and destroyed (spaces may override)
+const lingerSeconds = parseInt(process.env.ROOM_LINGER_SECONDS);
+const ROOM_LINGER_MS = (Number.isNaN(lingerSeconds) ? 120 : lingerSeconds) * 1000;
+
+// setTimeout cannot wait longer than this; longer teardowns re-arm
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Active users whose heartbeats stopped this long ago (a crashed client or
+// server) are evicted by the reaper
+const staleSeconds = parseInt(process.env.STALE_USER_SECONDS);
+const STALE_USER_MS = (Number.isNaN(staleSeconds) ? 90 : staleSeconds) * 1000;
+const REAPER_INTERVAL_MS = 30 * 1000;
+
+// Clients heartbeat every 30s; a user who has missed two shows as idle
+const HEARTBEAT_STALE_MS = 75 * 1000;
+const ROSTER_SWEEP_MS = 15 * 1000;
+
+// Roster states, most present first: 'away' is a user within the reconnect
+// grace window. Voice is 'off', 'on' (voice mode, not talking) or 'speaking'.
+const PRESENCE_STATUSES = ['active', 'idle', 'away'];
+const VOICE_STATES = ['speaking', 'on', 'off'];
+
+// How long a message id is remembered: sending it again within this window
+// gets the first response instead of a second run
+const dedupSeconds = parseInt(process.env.MESSAGE_DEDUP_SECONDS);
+const MESSAGE_DEDUP_SECONDS = dedupSeconds > 0 ? dedupSeconds : 600;
+
+// Limits on what people write into a canvas node by hand
+const MAX_NODE_TITLE_LENGTH = 200;
+const MAX_NODE_CONTENT_LENGTH = 5000;
+
+// Private events not kept for a user who is away - room:resumed restores their effect
+const TRANSIENT_EVENTS = new Set(['agent:typing', 'agent:done', 'agent:response_chunk', 'agent:queued']);
+
+// Shown with RATE_LIMITED, by the limit that was hit (see RateLimiter)
+const RATE_LIMIT_MESSAGES = {
+  user: 'You are sending requests too quickly',
+  room: 'This space is getting too many requests right now',
+  ip: 'Too many requests from your network',
+  quota: 'This space has used up its AI allowance for today'
+};
+
+// Client addresses come from X-Forwarded-For only when a trusted proxy sets it
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+// Sent between server instances (Socket.io serverSideEmit) about work or
+// sessions one of them holds for a user connected to another
+const PEER_EVENTS = {
+  USER_RETURNED: 'peer:user_returned',     // { roomId, userId } resumed elsewhere - stop holding their leave
+  USER_LEFT: 'peer:user_left',             // { roomId, userId } gone for good - stop their agent work
+  CANCEL_REQUEST: 'peer:cancel_request',   // { roomId, userId, messageId }
+  SESSION_CHANGED: 'peer:session_changed'  // { roomId, userId, changes } apply to that user's sessions
+};
 
 export class SocketHandler {
-  constructor(io, redisClient, agent, convexService = null) {
+  constructor(io, redisClient, agent, convexService = null, tokenService = null, rateLimiter = null) {
     this.io = io;
     this.redisClient = redisClient;
     this.agent = agent;
     this.convexService = convexService;
-    this.userSessions = new Map(); // Track user sessions
-    this.processedMessages = new Set(); // Deduplication set
+    this.tokenService = tokenService;
+    this.rateLimiter = rateLimiter;
+    this.history = new ConversationHistory(redisClient);
+    // Connections to this instance; each session is also socket.data.session,
+    // which other instances see through fetchSockets()
+    this.userSessions = new Map(); // socketId -> session
+    this.inFlightRequests = new Map(); // userKey -> Map(messageId -> AbortController) for requests running here
+    this.pendingLeaves = new Map(); // userKey -> { session, timer, missedEvents } for users away from this instance
+    this.roomTeardowns = new Map(); // roomId -> { teardownAt, timer } for empty rooms lingering
   }
 
   setupHandlers() {
+    // Every connection must present a valid space token
+    this.io.use(async (socket, next) => {
+      try {
+        await this.authenticate(socket);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
+
     this.io.on('connection', (socket) => {
       console.log(`User connected: ${socket.id}`);
 
@@ -19,7 +101,8 @@ export class SocketHandler {
         await this.handleRoomJoin(socket, data);
       });
 
-      // Send message (private chat - triggers agent response to this user only)
+      // Send message (private chat: agent replies to this user only;
+      // group chat: broadcast to the room, agent replies to everyone)
       socket.on('message:send', async (data) => {
         await this.handleMessage(socket, data);
       });
@@ -34,6 +117,16 @@ export class SocketHandler {
         await this.handleExportRequest(socket, data);
       });
 
+      // Change a participant's role (owner only)
+      socket.on('room:set_role', async (data) => {
+        await this.handleSetRole(socket, data);
+      });
+
+      // Hand admin rights to another participant (admin only)
+      socket.on('room:transfer_admin', async (data) => {
+        await this.handleTransferAdmin(socket, data);
+      });
+
       // Room settings (admin only)
       socket.on('settings:get', async () => {
         await this.handleGetSettings(socket);
@@ -48,11 +141,21 @@ export class SocketHandler {
         await this.handleHeartbeat(socket, data);
       });
 
+      // Voice mode state, shown in the roster
+      socket.on('voice:state', (data) => {
+        this.handleVoiceState(socket, data);
+      });
+
       // Vector cloud data request
       socket.on('vectorcloud:request', async (data) => {
         await this.handleVectorCloudRequest(socket, data);
       });
 
+      // Cancel an in-flight agent request
+      socket.on('agent:cancel', (data) => {
+        this.handleAgentCancel(socket, data);
+      });
+
       // Canvas topic expand request
       socket.on('canvas:expand_topic', async (data) => {
         await this.handleCanvasExpandTopic(socket, data);
@@ -63,6 +166,41 @@ export class SocketHandler {
         await this.handleCanvasGenerateDiagram(socket, data);
       });
 
+      // Whole canvas for a client that missed a canvas:patch
+      socket.on('canvas:resync', async () => {
+        await this.handleCanvasResync(socket);
+      });
+
+      // Canvas version history: list, compare, restore (owner only)
+      socket.on('canvas:history', async () => {
+        await this.handleCanvasHistory(socket);
+      });
+
+      socket.on('canvas:diff', async (data) => {
+        await this.handleCanvasDiff(socket, data);
+      });
+
+      socket.on('canvas:restore', async (data) => {
+        await this.handleCanvasRestore(socket, data);
+      });
+
+      // Editing canvas nodes by hand
+      socket.on('canvas:edit_node', async (data) => {
+        await this.handleCanvasEditNode(socket, data);
+      });
+
+      socket.on('canvas:delete_node', async (data) => {
+        await this.handleCanvasDeleteNode(socket, data);
+      });
+
+      socket.on('canvas:move_node', async (data) => {
+        await this.handleCanvasMoveNode(socket, data);
+      });
+
+      socket.on('canvas:pin_node', async (data) => {
+        await this.handleCanvasPinNode(socket, data);
+      });
+
       // Disconnect
       socket.on('disconnect', async () => {
         await this.handleDisconnect(socket);
@@ -74,34 +212,463 @@ export class SocketHandler {
       });
     });
 
-    // Cleanup old processed messages periodically (every 5 minutes)
+    // Other instances asking about users and requests this one holds
+    this.io.on(PEER_EVENTS.USER_RETURNED, ({ roomId, userId }) => {
+      this.releasePendingLeave(roomId, userId);
+    });
+
+    this.io.on(PEER_EVENTS.USER_LEFT, ({ roomId, userId }) => {
+      this.abortUserRequests(roomId, userId);
+    });
+
+    this.io.on(PEER_EVENTS.CANCEL_REQUEST, ({ roomId, userId, messageId }) => {
+      this.inFlightRequests.get(this.userKey(roomId, userId))?.get(messageId)?.abort();
+    });
+
+    this.io.on(PEER_EVENTS.SESSION_CHANGED, ({ roomId, userId, changes }) => {
+      this.applySessionChanges(roomId, userId, changes);
+    });
+
+    // Heartbeats stopping sends no event - look for users who went idle
     setInterval(() => {
-      this.processedMessages.clear();
-    }, 5 * 60 * 1000);
+      this.sweepRosters();
+    }, ROSTER_SWEEP_MS);
+
+    // Active users nobody is connected as anymore would keep their rooms open forever
+    setInterval(() => {
+      this.reapStaleUsers();
+    }, REAPER_INTERVAL_MS);
+  }
+
+  /**
+   * Socket.io middleware: verify handshake.auth.token (admin or invite token)
+   * and fix the connection's identity in socket.data.auth.
+   * Invite holders keep their user id across reconnects via the user token
+   * handed out in room:joined (handshake.auth.userToken).
+   * Rejects with an Error whose data.code the client can inspect.
+   */
+  async authenticate(socket) {
+    const { token, userToken } = socket.handshake.auth || {};
+    const claims = this.tokenService.verify(token);
+
+    if (!claims || ![TOKEN_TYPES.ADMIN, TOKEN_TYPES.INVITE].includes(claims.typ)) {
+      throw this.authError('UNAUTHORIZED', 'A valid space link is required to join');
+    }
+
+    const space = await this.redisClient.getSpace(claims.spaceId);
+    if (!space) {
+      throw this.authError('SPACE_NOT_FOUND', 'This space does not exist or has expired');
+    }
+
+    let userId;
+    if (claims.typ === TOKEN_TYPES.ADMIN) {
+      userId = claims.sub;
+    } else {
+      const identity = this.tokenService.verify(userToken);
+      userId = identity?.typ === TOKEN_TYPES.USER && identity.spaceId === space.spaceId
+        ? identity.sub
+        : `user-${uuidv4()}`;
+    }
+
+    socket.data.auth = {
+      spaceId: space.spaceId,
+      userId,
+      inviteRole: claims.typ === TOKEN_TYPES.INVITE ? claims.role : null,
+      ip: this.clientAddress(socket)
+    };
+  }
+
+  // Behind a proxy or load balancer (TRUST_PROXY=true) the client is the
+  // first X-Forwarded-For entry, otherwise the connection's peer
+  clientAddress(socket) {
+    const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+    if (TRUST_PROXY && forwardedFor) {
+      return forwardedFor.split(',')[0].trim();
+    }
+    return socket.handshake.address;
+  }
+
+  authError(code, message) {
+    const error = new Error(message);
+    error.data = { code, message };
+    return error;
+  }
+
+  // A user within a room - sessions, requests and pending leaves are tracked per user
+  userKey(roomId, userId) {
+    return `${roomId}:${userId}`;
+  }
+
+  // Socket.io room joined by every connection of a user: private output goes
+  // here so it follows the user across reconnects and tabs
+  userRoom(roomId, userId) {
+    return `user:${roomId}:${userId}`;
+  }
+
+  /**
+   * Session of one of the user's live connections, on any instance (null if none)
+   */
+  async getLiveSession(roomId, userId) {
+    const sockets = await this.io.in(this.userRoom(roomId, userId)).fetchSockets();
+    return sockets.map(s => s.data.session).find(Boolean) || null;
+  }
+
+  async hasLiveSession(roomId, userId) {
+    return Boolean(await this.getLiveSession(roomId, userId));
+  }
+
+  /**
+   * Sessions of a room on every instance: connected ones plus those within
+   * the reconnect grace window (marked away)
+   */
+  async getRoomSessions(roomId) {
+    const sockets = await this.io.in(roomId).fetchSockets();
+    const sessions = sockets.map(s => s.data.session).filter(Boolean);
+    return [...sessions, ...await this.redisClient.getAwayUsers(roomId)];
+  }
+
+  // Apply changes to the user's sessions on this instance
+  applySessionChanges(roomId, userId, changes) {
+    for (const session of this.userSessions.values()) {
+      if (session.roomId === roomId && session.userId === userId) {
+        Object.assign(session, changes);
+      }
+    }
+  }
+
+  /**
+   * Tell every connection of a user the role it now acts with
+   */
+  sendPermissions(roomId, session) {
+    const role = this.effectiveRole(roomId, session);
+    this.io.to(this.userRoom(roomId, session.userId)).emit('room:permissions', {
+      role,
+      permissions: permissionsFor(role)
+    });
+  }
+
+  /**
+   * Send private output to every connection of a user. While the user is
+   * away it is also kept and replayed in room:resumed.
+   */
+  emitToUser(roomId, userId, event, data) {
+    const pendingLeave = this.pendingLeaves.get(this.userKey(roomId, userId));
+    if (pendingLeave && !TRANSIENT_EVENTS.has(event)) {
+      pendingLeave.missedEvents.push({ event, data });
+    }
+    this.io.to(this.userRoom(roomId, userId)).emit(event, data);
+  }
+
+  /**
+   * Resolve a joining user's assigned role: the owner is fixed by the space,
+   * everyone else keeps the role stored for them, or gets the one on their
+   * invite the first time they join.
+   */
+  async resolveRole(roomId, userId, space, inviteRole) {
+    if (userId === space.ownerId) return ROLES.OWNER;
+
+    const storedRole = await this.redisClient.getUserRole(roomId, userId);
+    if (storedRole) return storedRole;
+
+    const role = ASSIGNABLE_ROLES.includes(inviteRole) ? inviteRole : DEFAULT_ROLE;
+    await this.redisClient.setUserRole(roomId, userId, role);
+    return role;
+  }
+
+  /**
+   * Role a session acts with: owner while holding the room's admin rights,
+   * otherwise its assigned role (a space owner without admin acts as editor)
+   */
+  effectiveRole(roomId, session) {
+    if (this.agent.isAdmin(roomId, session.userId)) return ROLES.OWNER;
+    return session.assignedRole === ROLES.OWNER ? ROLES.EDITOR : session.assignedRole;
+  }
+
+  /**
+   * Keep a present user as room admin. The current admin stays unless they
+   * left, or took over by succession and the space owner is back. Otherwise
+   * the owner reclaims admin, or it passes to the longest-present user.
+   */
+  async ensureAdmin(roomId, ownerId) {
+    const admin = this.agent.getAdmin(roomId);
+    const sessions = await this.getRoomSessions(roomId);
+    if (!admin || sessions.length === 0) return;
+
+    const isPresent = (userId) => sessions.some(s => s.userId === userId);
+    const ownerPresent = isPresent(ownerId);
+
+    if (isPresent(admin.userId) && !(admin.source === ADMIN_SOURCES.SUCCESSION && ownerPresent)) {
+      return;
+    }
+
+    if (ownerPresent) {
+      if (admin.userId !== ownerId) {
+        const reason = isPresent(admin.userId) ? 'owner_returned' : 'admin_left';
+        await this.applyAdminChange(roomId, ownerId, ADMIN_SOURCES.OWNER, reason, null, admin.userId);
+      }
+      return;
+    }
+
+    const longestPresent = sessions.reduce((a, b) => (b.joinedAt < a.joinedAt ? b : a));
+    await this.applyAdminChange(roomId, longestPresent.userId, ADMIN_SOURCES.SUCCESSION, 'admin_left', null, admin.userId);
+  }
+
+  /**
+   * Move admin rights, refresh the roles of the old and new admin's
+   * connections and broadcast room:admin_changed. With expectedAdminUserId
+   * nothing happens if another instance already moved admin.
+   */
+  async applyAdminChange(roomId, userId, source, reason, changedBy = null, expectedAdminUserId = undefined) {
+    const result = await this.agent.setAdmin(roomId, userId, source, expectedAdminUserId);
+    if (result.error) return result;
+
+    const { previousAdminUserId } = result;
+    let adminUserName = userId;
+
+    for (const changedUserId of new Set([userId, previousAdminUserId])) {
+      const session = await this.getLiveSession(roomId, changedUserId);
+      if (!session) continue;
+      if (changedUserId === userId) adminUserName = session.userName;
+      this.sendPermissions(roomId, session);
+    }
+
+    this.io.to(roomId).emit('room:admin_changed', {
+      adminUserId: userId,
+      adminUserName,
+      previousAdminUserId,
+      reason,
+      changedBy,
+      participants: await this.getParticipants(roomId),
+      timestamp: Date.now()
+    });
+
+    return result;
+  }
+
+  /**
+   * Check a request that has the agent call the model against the rate
+   * limits and the space's daily LLM quota; emits RATE_LIMITED (with
+   * retryAfter in seconds) if it has to wait
+   */
+  async checkLimits(socket, session, action, details = {}) {
+    if (!this.rateLimiter) return true;
+
+    const { roomId, userId } = session;
+    let limited;
+    try {
+      const space = await this.redisClient.getSpace(roomId);
+      limited = (space && await this.rateLimiter.checkQuota(space))
+        || await this.rateLimiter.consume({ roomId, userId, ip: socket.data.auth.ip });
+    } catch (error) {
+      // Limits protect the model, not correctness - do not fail the request over them
+      console.error('Error checking rate limits:', error);
+      return true;
+    }
+    if (!limited) return true;
+
+    socket.emit('error', {
+      code: 'RATE_LIMITED',
+      message: RATE_LIMIT_MESSAGES[limited.scope],
+      scope: limited.scope,
+      retryAfter: Math.ceil(limited.retryAfterMs / 1000),
+      action,
+      ...details
+    });
+    return false;
+  }
+
+  /**
+   * Check a request names a canvas node (by its id); emits INVALID_NODE if not
+   */
+  validateNodeId(socket, nodeId, details = {}) {
+    if (typeof nodeId === 'string' && nodeId) return true;
+
+    socket.emit('error', {
+      code: 'INVALID_NODE',
+      message: 'Choose a node on the canvas',
+      ...details
+    });
+    return false;
+  }
+
+  /**
+   * Check the session's role allows an action; emits FORBIDDEN if not
+   */
+  authorize(socket, session, action, details = {}) {
+    const role = this.effectiveRole(session.roomId, session);
+    if (can(role, action)) return true;
+
+    socket.emit('error', {
+      code: 'FORBIDDEN',
+      message: `Your role (${role}) does not allow ${action}`,
+      ...details
+    });
+    return false;
+  }
+
+  /**
+   * The room's roster, one entry per user: name, role, join time, whether
+   * they are active, idle or away, their voice state, and whether the agent
+   * is working on one of their requests
+   */
+  async getParticipants(roomId) {
+    const sessions = await this.getRoomSessions(roomId);
+    const working = new Set();
+    for (const userId of new Set(sessions.map(s => s.userId))) {
+      if ((await this.redisClient.getUserRequests(roomId, userId)).length > 0) working.add(userId);
+    }
+
+    const participants = new Map();
+    for (const session of sessions) {
+      const entry = {
+        userId: session.userId,
+        userName: session.userName,
+        role: this.effectiveRole(roomId, session),
+        isAdmin: this.agent.isAdmin(roomId, session.userId),
+        spaceOwner: session.assignedRole === ROLES.OWNER,
+        joinedAt: session.joinedAt,
+        lastSeenAt: session.lastSeenAt,
+        status: this.sessionStatus(session),
+        voice: session.voice,
+        agentWorking: working.has(session.userId)
+      };
+
+      // Open in several tabs: as present as the most present of them
+      const existing = participants.get(session.userId);
+      if (!existing) {
+        participants.set(session.userId, entry);
+        continue;
+      }
+      existing.lastSeenAt = Math.max(existing.lastSeenAt, entry.lastSeenAt);
+      if (PRESENCE_STATUSES.indexOf(entry.status) < PRESENCE_STATUSES.indexOf(existing.status)) {
+        existing.status = entry.status;
+      }
+      if (VOICE_STATES.indexOf(entry.voice) < VOICE_STATES.indexOf(existing.voice)) {
+        existing.voice = entry.voice;
+      }
+    }
+    return [...participants.values()];
+  }
+
+  /**
+   * Presence of one session: away while held for a reconnect, idle if the
+   * client says so or its heartbeats stopped, otherwise active
+   */
+  sessionStatus(session) {
+    if (session.away) {
+      return 'away';
+    }
+    if (session.idle || Date.now() - session.lastSeenAt > HEARTBEAT_STALE_MS) {
+      return 'idle';
+    }
+    return 'active';
+  }
+
+  /**
+   * Recompute a session's status; true if it changed since the roster last showed it
+   */
+  refreshStatus(session) {
+    const status = this.sessionStatus(session);
+    if (status === session.status) return false;
+    session.status = status;
+    return true;
+  }
+
+  async broadcastRoster(roomId) {
+    try {
+      this.io.to(roomId).emit('room:roster', {
+        participants: await this.getParticipants(roomId),
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      console.error('Error broadcasting roster:', error);
+    }
+  }
+
+  sweepRosters() {
+    const changedRooms = new Set();
+    for (const session of this.userSessions.values()) {
+      if (this.refreshStatus(session)) changedRooms.add(session.roomId);
+    }
+    for (const roomId of changedRooms) {
+      this.broadcastRoster(roomId);
+    }
   }
 
   async handleRoomJoin(socket, data) {
-    const { roomId, userId, userName, userMetadata = {} } = data;
+    const { roomId, userName, userMetadata = {} } = data;
+    // Identity comes from the verified handshake, never from the payload
+    const { spaceId, userId, inviteRole } = socket.data.auth;
 
-    if (!roomId || !userId) {
+    if (!roomId) {
       socket.emit('error', {
         code: 'INVALID_ROOM_DATA',
-        message: 'roomId and userId are required'
+        message: 'roomId is required'
+      });
+      return;
+    }
+
+    if (roomId !== spaceId) {
+      socket.emit('error', {
+        code: 'UNAUTHORIZED',
+        message: 'Your link is not valid for this space'
       });
       return;
     }
 
     try {
-      // Join socket.io room
+      // Only spaces created through /api/space/create can be joined
+      const space = await this.redisClient.getSpace(roomId);
+      if (!space) {
+        socket.emit('error', {
+          code: 'SPACE_NOT_FOUND',
+          message: 'This space does not exist or has expired'
+        });
+        return;
+      }
+
+      // Anyone coming back keeps a lingering empty room alive
+      this.cancelRoomTeardown(roomId);
+
+      // Back within the grace window (possibly left on another instance), or
+      // already connected from another tab
+      const key = this.userKey(roomId, userId);
+      const pendingLeave = this.pendingLeaves.get(key);
+      if (pendingLeave) {
+        clearTimeout(pendingLeave.timer);
+        this.pendingLeaves.delete(key);
+      }
+      const awaySession = await this.redisClient.takeAwayUser(roomId, userId);
+      const earlierSession = pendingLeave?.session || awaySession
+        || await this.getLiveSession(roomId, userId);
+      const resuming = Boolean(earlierSession);
+
+      const assignedRole = await this.resolveRole(roomId, userId, space, inviteRole);
+
+      // Join socket.io room, and the user's own room for private output
       socket.join(roomId);
+      socket.join(this.userRoom(roomId, userId));
+
+      // The instance the user left from replays what they missed to the user room
+      if (awaySession && !pendingLeave) {
+        this.io.serverSideEmit(PEER_EVENTS.USER_RETURNED, { roomId, userId });
+      }
 
-      // Track user session
-      this.userSessions.set(socket.id, {
+      // Track user session (a resumed user keeps their place in line for admin);
+      // socket.data makes it visible to other instances
+      const session = {
         userId,
         userName: userName || userId,
         roomId,
-        joinedAt: Date.now()
-      });
+        assignedRole,
+        joinedAt: earlierSession?.joinedAt || Date.now(),
+        lastSeenAt: Date.now(),
+        idle: false,
+        voice: 'off'
+      };
+      session.status = this.sessionStatus(session);
+      this.userSessions.set(socket.id, session);
+      socket.data.session = session;
 
       // Register user in Redis
       await this.redisClient.addActiveUser(roomId, userId, {
@@ -110,50 +677,82 @@ export class SocketHandler {
         ...userMetadata
       });
 
-      // Register room with agent if first user (they become admin)
-      const activeUserCount = await this.redisClient.getActiveUserCount(roomId);
-      if (activeUserCount === 1) {
-        this.agent.registerRoom(roomId, userId);
-        // Record space creation in Convex
-        if (this.convexService) {
-          await this.convexService.recordSpaceCreated(roomId, userId);
-        }
+      // Load the room into this instance, creating it for the first user of
+      // any instance; the owner bound to the admin token starts as admin,
+      // whoever happens to arrive first
+      const { created } = await this.agent.loadRoom(roomId, space.ownerId, {
+        title: space.title,
+        owner: space.owner,
+        llmProvider: space.llmProvider
+      });
+      // Record space creation in Convex
+      if (created && this.convexService) {
+        await this.convexService.recordSpaceCreated(roomId, space.ownerId);
       }
 
+      // The owner may be absent, or returning to a room run by a successor
+      await this.ensureAdmin(roomId, space.ownerId);
+      const role = this.effectiveRole(roomId, session);
+
       // Get existing active users
       const activeUsers = await this.redisClient.getActiveUsers(roomId);
+      const participants = await this.getParticipants(roomId);
 
-      // Notify all users in room about the join (public event)
-      this.io.to(roomId).emit('room:user_joined', {
-        userId,
-        userName: userName || userId,
-        timestamp: Date.now(),
-        activeUsers: activeUsers.length
-      });
+      // Notify all users in room about the join (public event) - a resuming
+      // user never left as far as the others are concerned
+      if (!resuming) {
+        this.io.to(roomId).emit('room:user_joined', {
+          userId,
+          userName: userName || userId,
+          role,
+          timestamp: Date.now(),
+          activeUsers: activeUsers.length,
+          participants
+        });
+      }
 
       // Send active user count
       this.io.to(roomId).emit('room:active_users', {
         count: activeUsers.length
       });
+      this.broadcastRoster(roomId);
 
       // Get room state for settings
       const roomState = this.agent.getRoomState(roomId);
       const isAdmin = this.agent.isAdmin(roomId, userId);
 
-      // Send confirmation to joining user
-      socket.emit('room:joined', {
+      // Send confirmation to joining user; a resumed session also learns
+      // which of its agent requests are still running and what it missed
+      socket.emit(resuming ? 'room:resumed' : 'room:joined', {
         roomId,
         userId,
+        // Present as handshake.auth.userToken to keep this identity on reconnect
+        userToken: this.tokenService.mintUserToken(roomId, userId, space.expiresAt),
         userName: userName || userId,
         timestamp: Date.now(),
         activeUserCount: activeUsers.length,
         isAdmin,
+        role,
+        permissions: permissionsFor(role),
+        participants,
+        space: {
+          title: space.title,
+          owner: space.owner,
+          createdAt: space.createdAt,
+          expiresAt: space.expiresAt
+        },
         settings: roomState?.settings || { groupChatEnabled: false },
         canvas: roomState?.canvas || [],
+        transcript: await this.redisClient.getTranscript(roomId),
+        history: await this.history.getUserHistory(roomId, userId),
+        ...(resuming && {
+          pendingRequests: await this.redisClient.getUserRequests(roomId, userId),
+          missedEvents: pendingLeave?.missedEvents || []
+        }),
         message: `Welcome to Polyphony Space`
       });
 
-      console.log(`User ${userName || userId} joined room ${roomId}`);
+      console.log(`User ${userName || userId} ${resuming ? 'resumed in' : 'joined'} room ${roomId}`);
     } catch (error) {
       console.error('Error joining room:', error);
       socket.emit('error', {
@@ -174,9 +773,10 @@ export class SocketHandler {
     }
 
     const { roomId, userId, userName } = session;
-    const { content, conversationHistory = [], messageId } = data;
+    // Any client-sent conversationHistory is ignored - history is kept server-side
+    const { content, messageId } = data || {};
 
-    if (!content) {
+    if (typeof content !== 'string' || !content) {
       socket.emit('error', {
         code: 'EMPTY_MESSAGE',
         message: 'Message content cannot be empty'
@@ -184,58 +784,245 @@ export class SocketHandler {
       return;
     }
 
-    // Deduplication check
-    const dedupKey = `${socket.id}:${messageId || content.slice(0, 50)}:${Date.now() >> 10}`; // ~1 second window
-    if (this.processedMessages.has(dedupKey)) {
-      console.log('Duplicate message detected, skipping');
-      return;
-    }
-    this.processedMessages.add(dedupKey);
+    // Streamed chunks and the final response are tied together by this id
+    const responseId = messageId || uuidv4();
+
+    const settings = this.agent.getRoomState(roomId)?.settings || {};
+    const groupChat = settings.groupChatEnabled || false;
+    // PRIVATE CHAT: the agent's reply goes to the sender only (all their connections);
+    // GROUP CHAT: the whole room sees it
+    const audience = groupChat
+      ? this.io.to(roomId)
+      : { emit: (event, payload) => this.emitToUser(roomId, userId, event, payload) };
+    const agentReplying = !groupChat || settings.agentReplies !== 'mentions' || AGENT_MENTION.test(content);
+
+    const release = () => this.redisClient.releaseMessage(roomId, userId, responseId);
+    let claimed = false;
+    let controller = null;
 
     try {
-      // PRIVATE CHAT: Only emit to the sender's socket, not the room
+      // Each message id is handled once, on whichever instance gets it first: a
+      // retry (after a reconnect, or sent twice) gets the recorded outcome
+      const earlier = await this.redisClient.claimMessage(roomId, userId, responseId, MESSAGE_DEDUP_SECONDS);
+      if (earlier) {
+        this.replayMessage(socket, responseId, earlier);
+        return;
+      }
+      claimed = true;
+
+      // Only messages the agent answers cost a model call
+      if (agentReplying && !await this.checkLimits(socket, session, 'message:send', { messageId: responseId })) {
+        await release();
+        return;
+      }
+      controller = await this.startRequest(session, responseId);
+
       // First, send acknowledgment that message was received
       socket.emit('message:ack', {
-        messageId: messageId || uuidv4(),
+        messageId: responseId,
+        agentReplying,
         timestamp: Date.now()
       });
 
-      // Trigger agent response (typing indicator only to this user)
-      socket.emit('agent:typing');
+      // A message whose run was cancelled or failed can be sent again with
+      // its id: it is recorded (and shown to the room) the first time only
+      let history;
+      if (groupChat) {
+        // The agent follows the room's conversation, not this user's private one
+        history = await this.history.getRoomHistory(roomId, { exclude: responseId });
+
+        if (!await this.history.hasRoomMessage(roomId, responseId)) {
+          const entry = { id: responseId, type: 'user', userId, userName, content, timestamp: Date.now() };
+          await this.redisClient.appendTranscript(roomId, entry);
+          this.io.to(roomId).emit('chat:message', entry);
+        }
+
+        if (!agentReplying) {
+          await this.redisClient.completeMessage(roomId, userId, responseId, { status: 'done', agentReplying }, MESSAGE_DEDUP_SECONDS);
+          console.log(`Message from ${userName} in ${roomId} (group), agent not mentioned`);
+          return;
+        }
+      } else {
+        history = await this.history.getUserHistory(roomId, userId, { exclude: responseId });
+        if (!await this.history.hasUserMessage(roomId, userId, responseId)) {
+          await this.history.append(roomId, userId, 'user', content, responseId);
+        }
+      }
+
+      // Trigger agent response
+      audience.emit('agent:typing');
 
       const agentResponse = await this.agent.handleMessage(
         roomId,
         userId,
         userName, // Pass userName for canvas attribution
-        socket.id, // Pass socket ID for visualization targeting
+        this.userRoom(roomId, userId), // Private visualizations go to this user's room
         content,
-        conversationHistory
+        history,
+        {
+          // Stream the reply as it is generated
+          onChunk: (delta) => audience.emit('agent:response_chunk', { messageId: responseId, delta }),
+          // Other agent work in the room goes first - tell the sender where they are in line
+          onQueued: (position) => this.emitToUser(roomId, userId, 'agent:queued', { messageId: responseId, position }),
+          signal: controller.signal
+        }
       );
 
-      socket.emit('agent:done');
+      audience.emit('agent:done');
 
-      // Send agent response only to this user (PRIVATE)
-      socket.emit('agent:response', {
+      if (agentResponse.cancelled) {
+        await release();
+        audience.emit('agent:cancelled', { messageId: responseId, timestamp: Date.now() });
+        return;
+      }
+
+      // Final, complete text (may add a tools summary to what was streamed)
+      const response = {
+        messageId: responseId,
         content: agentResponse.content,
-        timestamp: Date.now()
-      });
+        timestamp: Date.now(),
+        ...(groupChat && { inReplyTo: { userId, userName } }),
+        ...(agentResponse.error && { error: true })
+      };
+      audience.emit('agent:response_done', response);
+
+      // A failed run is not recorded: sending the same id again runs it again
+      if (agentResponse.error) {
+        await release();
+        console.log(`Message from ${userName} in ${roomId} failed: ${agentResponse.content}`);
+        return;
+      }
+      await this.redisClient.completeMessage(roomId, userId, responseId, { status: 'done', agentReplying, response }, MESSAGE_DEDUP_SECONDS);
+
+      if (groupChat) {
+        await this.redisClient.appendTranscript(roomId, {
+          id: uuidv4(),
+          type: 'agent',
+          inReplyTo: responseId,
+          content: agentResponse.content,
+          timestamp: Date.now()
+        });
+      } else {
+        await this.history.append(roomId, userId, 'assistant', agentResponse.content);
+      }
 
       // If knowledge was updated, broadcast that to ALL users in room (PUBLIC)
       if (agentResponse.knowledgeUpdate) {
         this.io.to(roomId).emit('knowledge:update', agentResponse.knowledgeUpdate);
       }
 
-      console.log(`Message from ${userName} in ${roomId} (private), agent responded`);
+      console.log(`Message from ${userName} in ${roomId} (${groupChat ? 'group' : 'private'}), agent responded`);
     } catch (error) {
       console.error('Error handling message:', error);
-      socket.emit('agent:done');
-      socket.emit('error', {
+      if (claimed) await release().catch(() => {});
+      audience.emit('agent:done');
+      this.emitToUser(roomId, userId, 'error', {
         code: 'MESSAGE_ERROR',
-        message: error.message
+        message: error.message,
+        messageId: responseId
       });
+    } finally {
+      // Not for a duplicate: it must not end the original's request
+      if (claimed) {
+        await this.finishRequest(session, responseId).catch(error => console.error('Error finishing request:', error));
+      }
+    }
+  }
+
+  /**
+   * Answer a message:send seen before with what the first one produced: the
+   * recorded response, or nothing more while it is still being handled (its
+   * response will reach this connection through the user or space room)
+   */
+  replayMessage(socket, messageId, record) {
+    console.log(`Duplicate message ${messageId} (${record.status})`);
+    socket.emit('message:ack', {
+      messageId,
+      agentReplying: record.agentReplying ?? true,
+      duplicate: true,
+      timestamp: Date.now()
+    });
+    if (record.response) {
+      socket.emit('agent:response_done', record.response);
+    }
+  }
+
+  /**
+   * Track an agent request so it can be cancelled by id, from any of the
+   * user's connections, or when the user leaves for good. The controller
+   * lives on this instance; the id is shared in Redis so every instance
+   * knows what is running for the user.
+   */
+  async startRequest(session, messageId) {
+    const { roomId, userId } = session;
+    const key = this.userKey(roomId, userId);
+    const controller = new AbortController();
+    if (!this.inFlightRequests.has(key)) {
+      this.inFlightRequests.set(key, new Map());
+    }
+    this.inFlightRequests.get(key).set(messageId, controller);
+    await this.redisClient.addUserRequest(roomId, userId, messageId);
+    // The roster shows the agent is now working for this user
+    this.broadcastRoster(roomId);
+    return controller;
+  }
+
+  async finishRequest(session, messageId) {
+    const { roomId, userId } = session;
+    const key = this.userKey(roomId, userId);
+    const requests = this.inFlightRequests.get(key);
+    if (!requests?.delete(messageId)) return;
+    if (requests.size === 0) {
+      this.inFlightRequests.delete(key);
+    }
+    await this.redisClient.removeUserRequest(roomId, userId, messageId);
+    this.broadcastRoster(roomId);
+  }
+
+  /**
+   * Abort an in-flight request of this user, wherever it runs; the request's
+   * own handler emits agent:cancelled once the agent has stopped
+   */
+  handleAgentCancel(socket, data) {
+    const session = this.userSessions.get(socket.id);
+    if (!session) return;
+
+    const { roomId, userId } = session;
+    const { messageId } = data || {};
+    const controller = this.inFlightRequests.get(this.userKey(roomId, userId))?.get(messageId);
+
+    console.log(`Cancelling request ${messageId} for ${session.userName}`);
+    if (controller) {
+      controller.abort();
+    } else {
+      // Running on another instance, or already finished (the cancel raced with the response)
+      this.io.serverSideEmit(PEER_EVENTS.CANCEL_REQUEST, { roomId, userId, messageId });
     }
   }
 
+  /**
+   * Abort the user's requests running on this instance
+   */
+  abortUserRequests(roomId, userId) {
+    const key = this.userKey(roomId, userId);
+    const requests = this.inFlightRequests.get(key);
+    if (!requests) return;
+    for (const controller of requests.values()) {
+      controller.abort();
+    }
+    this.inFlightRequests.delete(key);
+  }
+
+  /**
+   * Abort everything a user still has running, on every instance (they can
+   * no longer receive the results)
+   */
+  async cancelUserRequests(roomId, userId) {
+    this.abortUserRequests(roomId, userId);
+    await this.redisClient.clearUserRequests(roomId, userId);
+    this.io.serverSideEmit(PEER_EVENTS.USER_LEFT, { roomId, userId });
+  }
+
   async handleFileUpload(socket, data) {
     const session = this.userSessions.get(socket.id);
     if (!session) {
@@ -246,8 +1033,10 @@ export class SocketHandler {
       return;
     }
 
+    if (!this.authorize(socket, session, 'file:upload')) return;
+
     const { roomId, userId, userName } = session;
-    const { fileName, fileType, content } = data;
+    const { fileName, fileType, content } = data || {};
 
     if (!fileName || !content) {
       socket.emit('error', {
@@ -270,7 +1059,7 @@ export class SocketHandler {
       const result = await this.agent.handleFileUpload(
         roomId,
         userId,
-        socket.id,
+        this.userRoom(roomId, userId),
         fileName,
         fileType,
         content
@@ -292,7 +1081,7 @@ export class SocketHandler {
 
       // Send agent's analysis summary only to the uploader (PRIVATE)
       if (result.agentSummary) {
-        socket.emit('agent:response', {
+        this.emitToUser(roomId, userId, 'agent:response', {
           content: result.agentSummary,
           timestamp: Date.now()
         });
@@ -306,7 +1095,7 @@ export class SocketHandler {
       console.log(`File processed: ${fileName} (${result.fileInfo.chunkCount} chunks, ${result.fileInfo.totalTokens} tokens)`);
     } catch (error) {
       console.error('Error processing file:', error);
-      socket.emit('file:error', {
+      this.emitToUser(roomId, userId, 'file:error', {
         fileName,
         error: error.message
       });
@@ -323,6 +1112,8 @@ export class SocketHandler {
       return;
     }
 
+    if (!this.authorize(socket, session, 'export:request')) return;
+
     const { roomId } = session;
 
     try {
@@ -354,64 +1145,240 @@ export class SocketHandler {
 
     try {
       const { roomId, userId, userName } = session;
+      // The client reports idle when its user has stopped interacting
+      session.lastSeenAt = Date.now();
+      session.idle = Boolean(data?.idle);
 
       // Refresh user in Redis
       await this.redisClient.addActiveUser(roomId, userId, {
         socketId: socket.id,
         userName,
-        lastHeartbeat: Date.now()
+        lastHeartbeat: session.lastSeenAt
       });
 
+      if (this.refreshStatus(session)) {
+        this.broadcastRoster(roomId);
+      }
+
       // Send heartbeat confirmation
       socket.emit('heartbeat:ack', {
         timestamp: Date.now()
       });
     } catch (error) {
-      console.error('Error handling heartbeat:', error);
+      console.error('Error handling heartbeat:', error);
+    }
+  }
+
+  /**
+   * Voice mode state of a connection ({ state: 'off' | 'on' | 'speaking' })
+   */
+  handleVoiceState(socket, data) {
+    const session = this.userSessions.get(socket.id);
+    if (!session) return;
+
+    const state = data?.state;
+    if (!VOICE_STATES.includes(state)) {
+      socket.emit('error', { code: 'INVALID_VOICE_STATE', message: `Voice state must be one of: ${VOICE_STATES.join(', ')}` });
+      return;
+    }
+    if (state === session.voice) return;
+
+    session.voice = state;
+    this.broadcastRoster(session.roomId);
+  }
+
+  async handleDisconnect(socket) {
+    const session = this.userSessions.get(socket.id);
+    if (!session) {
+      console.log(`User disconnected: ${socket.id} (no session)`);
+      return;
+    }
+
+    const { roomId, userId, userName } = session;
+    this.userSessions.delete(socket.id);
+
+    // Still connected from another tab (on any instance), or held for a
+    // reconnect. If Redis or the other instances cannot be reached, the
+    // user leaves right away rather than being left half gone.
+    try {
+      if (await this.hasLiveSession(roomId, userId)) {
+        console.log(`User ${userName} closed one connection to room ${roomId}`);
+        this.broadcastRoster(roomId);
+        return;
+      }
+
+      // Hold the session (and any agent work) for a reconnect before leaving
+      // for good. The reconnect may land on another instance, so the away
+      // session is shared in Redis; missed output stays here until it is claimed.
+      if (RECONNECT_GRACE_MS > 0) {
+        // Shown as away to the others until they are back or gone
+        const awaySession = { ...session, away: true, voice: 'off' };
+        await this.redisClient.addAwayUser(roomId, userId, awaySession);
+        this.pendingLeaves.set(this.userKey(roomId, userId), {
+          session: awaySession,
+          missedEvents: [],
+          timer: setTimeout(() => this.expireLeave(awaySession), RECONNECT_GRACE_MS)
+        });
+        this.broadcastRoster(roomId);
+        console.log(`User ${userName} disconnected from room ${roomId}, holding session for ${RECONNECT_GRACE_MS / 1000}s`);
+        return;
+      }
+    } catch (error) {
+      console.error(`Error holding ${userName}'s session in room ${roomId}, leaving now:`, error);
     }
+
+    await this.completeLeave(session);
   }
 
-  async handleDisconnect(socket) {
-    const session = this.userSessions.get(socket.id);
-    if (!session) {
-      console.log(`User disconnected: ${socket.id} (no session)`);
+  /**
+   * The grace window ran out - leave, unless the user resumed on another
+   * instance that has not told this one yet
+   */
+  async expireLeave(session) {
+    const { roomId, userId } = session;
+    this.pendingLeaves.delete(this.userKey(roomId, userId));
+    try {
+      if (!await this.redisClient.removeAwayUser(roomId, userId)) return;
+    } catch (error) {
+      console.error('Error expiring away user:', error);
       return;
     }
+    await this.completeLeave(session);
+  }
+
+  /**
+   * The user resumed on another instance: stop holding them here and pass
+   * on what they missed through their user room
+   */
+  releasePendingLeave(roomId, userId) {
+    const key = this.userKey(roomId, userId);
+    const pendingLeave = this.pendingLeaves.get(key);
+    if (!pendingLeave) return;
+
+    clearTimeout(pendingLeave.timer);
+    this.pendingLeaves.delete(key);
+    for (const { event, data } of pendingLeave.missedEvents) {
+      this.io.to(this.userRoom(roomId, userId)).emit(event, data);
+    }
+  }
 
+  /**
+   * A user is gone for good: stop their agent work, tell the room, hand
+   * over admin, and tear the room down if it is now empty
+   */
+  async completeLeave(session) {
     const { roomId, userId, userName } = session;
+    this.pendingLeaves.delete(this.userKey(roomId, userId));
 
     try {
+      await this.cancelUserRequests(roomId, userId);
+      await this.redisClient.removeAwayUser(roomId, userId);
+
       // Remove user from Redis
       await this.redisClient.removeActiveUser(roomId, userId);
-      this.userSessions.delete(socket.id);
 
       // Check if room is now empty
       const activeUserCount = await this.redisClient.getActiveUserCount(roomId);
 
       if (activeUserCount === 0) {
-        // Trigger room cleanup - save meeting summary to Convex first
-        console.log(`Room ${roomId} is now empty, saving meeting summary...`);
-        await this.saveMeetingSummaryAndCleanup(roomId);
+        await this.scheduleRoomTeardown(roomId);
       } else {
         // Notify remaining users (PUBLIC)
         this.io.to(roomId).emit('room:user_left', {
           userId,
           userName,
           timestamp: Date.now(),
-          activeUsers: activeUserCount
+          activeUsers: activeUserCount,
+          participants: await this.getParticipants(roomId)
         });
 
         this.io.to(roomId).emit('room:active_users', {
           count: activeUserCount
         });
+        this.broadcastRoster(roomId);
+
+        // Pass admin on if it just left
+        const space = await this.redisClient.getSpace(roomId);
+        await this.ensureAdmin(roomId, space?.ownerId);
       }
 
-      console.log(`User ${userName} disconnected from room ${roomId}`);
+      console.log(`User ${userName} left room ${roomId}`);
     } catch (error) {
       console.error('Error handling disconnect:', error);
     }
   }
 
+  /**
+   * Evict active users whose heartbeats stopped and who have no live
+   * session on any instance - left behind by a client or server that went
+   * away without a disconnect. Users held for a reconnect are only reaped
+   * once their grace window is long over (the instance holding them died).
+   * They leave like anyone else, so the room is summarized and torn down
+   * once it is empty.
+   */
+  async reapStaleUsers() {
+    try {
+      const staleBefore = Date.now() - STALE_USER_MS - RECONNECT_GRACE_MS;
+      for (const roomId of await this.redisClient.getRoomsWithActiveUsers()) {
+        for (const userId of await this.redisClient.getStaleActiveUsers(roomId, staleBefore)) {
+          if (await this.hasLiveSession(roomId, userId)) continue;
+
+          const user = await this.redisClient.getActiveUser(roomId, userId);
+          console.log(`Reaping stale user ${userId} from room ${roomId}`);
+          await this.completeLeave({ roomId, userId, userName: user?.userName || userId });
+        }
+      }
+    } catch (error) {
+      console.error('Error reaping stale users:', error);
+    }
+  }
+
+  /**
+   * A room just emptied: keep it for the space's linger period (or the
+   * deployment default), longer if the admin asked to keep it alive, but
+   * never past the space's expiry
+   */
+  async scheduleRoomTeardown(roomId) {
+    const space = await this.redisClient.getSpace(roomId);
+    const lingerMs = space?.lingerSeconds != null ? space.lingerSeconds * 1000 : ROOM_LINGER_MS;
+    // Settings may have been changed through another instance
+    const roomState = await this.redisClient.getRoomState(roomId);
+    const keepAliveUntil = roomState?.settings?.keepAliveUntil || 0;
+
+    let teardownAt = Math.max(Date.now() + lingerMs, keepAliveUntil);
+    if (!space) {
+      teardownAt = Date.now();
+    } else if (space.expiresAt) {
+      teardownAt = Math.min(teardownAt, space.expiresAt);
+    }
+
+    console.log(`Room ${roomId} is now empty, keeping it until ${new Date(teardownAt).toISOString()}`);
+    await this.armRoomTeardown(roomId, teardownAt);
+  }
+
+  async armRoomTeardown(roomId, teardownAt) {
+    const delay = teardownAt - Date.now();
+    if (delay <= 0) {
+      this.roomTeardowns.delete(roomId);
+      if (await this.redisClient.getActiveUserCount(roomId) > 0) return;
+      console.log(`Room ${roomId} stayed empty, saving meeting summary...`);
+      await this.saveMeetingSummaryAndCleanup(roomId);
+      return;
+    }
+
+    const timer = setTimeout(() => this.armRoomTeardown(roomId, teardownAt), Math.min(delay, MAX_TIMER_MS));
+    this.roomTeardowns.set(roomId, { teardownAt, timer });
+  }
+
+  cancelRoomTeardown(roomId) {
+    const teardown = this.roomTeardowns.get(roomId);
+    if (!teardown) return;
+
+    clearTimeout(teardown.timer);
+    this.roomTeardowns.delete(roomId);
+    console.log(`Room ${roomId} rejoined, teardown cancelled`);
+  }
+
   /**
    * Save meeting summary to Convex and clean up the room
    * This is called when the last user disconnects
@@ -462,6 +1429,7 @@ export class SocketHandler {
 
     socket.emit('settings:current', {
       settings: roomState?.settings || { groupChatEnabled: false },
+      availableLLMProviders: this.agent.getAvailableProviders(),
       isAdmin
     });
   }
@@ -473,28 +1441,150 @@ export class SocketHandler {
       return;
     }
 
+    if (!this.authorize(socket, session, 'settings:set')) return;
+
     const { roomId, userId } = session;
-    const { groupChatEnabled } = data;
+    const { groupChatEnabled, agentReplies, keepAliveUntil, llmProvider } = data || {};
 
-    if (typeof groupChatEnabled !== 'boolean') {
+    if ([groupChatEnabled, agentReplies, keepAliveUntil, llmProvider].every(value => value === undefined)) {
       socket.emit('error', { code: 'INVALID_SETTINGS', message: 'Invalid settings' });
       return;
     }
 
-    const result = this.agent.setGroupChat(roomId, userId, groupChatEnabled);
+    try {
+      // All or nothing: checked together, then saved in one update
+      const result = await this.agent.updateSettings(roomId, userId, { groupChatEnabled, agentReplies, keepAliveUntil, llmProvider });
+      if (result.error) {
+        socket.emit('error', { code: 'SETTINGS_ERROR', message: result.error });
+        return;
+      }
+
+      // Broadcast settings change to all users in room
+      this.io.to(roomId).emit('settings:updated', {
+        settings: result.settings,
+        changedBy: session.userName
+      });
+
+      console.log(`Settings updated in room ${roomId}:`, result.settings);
+    } catch (error) {
+      console.error('Error updating settings:', error);
+      socket.emit('error', { code: 'SETTINGS_ERROR', message: 'Failed to update settings' });
+    }
+  }
 
-    if (result.error) {
-      socket.emit('error', { code: 'SETTINGS_ERROR', message: result.error });
+  /**
+   * Owner assigns a role to another participant ({ userId, role }).
+   * Applies to all of that user's connections and is remembered for rejoins.
+   */
+  async handleSetRole(socket, data) {
+    const session = this.userSessions.get(socket.id);
+    if (!session) {
+      socket.emit('error', { code: 'NOT_IN_ROOM', message: 'Must join a room first' });
       return;
     }
 
-    // Broadcast settings change to all users in room
-    this.io.to(roomId).emit('settings:updated', {
-      settings: { groupChatEnabled },
-      changedBy: session.userName
-    });
+    if (!this.authorize(socket, session, 'room:set_role')) return;
+
+    const { roomId } = session;
+    const { userId: targetUserId, role } = data || {};
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      socket.emit('error', {
+        code: 'INVALID_ROLE',
+        message: `role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`
+      });
+      return;
+    }
+
+    if (!targetUserId || targetUserId === session.userId) {
+      socket.emit('error', { code: 'INVALID_ROLE', message: 'The owner role cannot be changed' });
+      return;
+    }
+
+    try {
+      const space = await this.redisClient.getSpace(roomId);
+      if (targetUserId === space?.ownerId) {
+        socket.emit('error', { code: 'INVALID_ROLE', message: 'The space owner\'s role cannot be changed' });
+        return;
+      }
+
+      // Only users who have joined this space have a stored role
+      if (!await this.redisClient.getUserRole(roomId, targetUserId)) {
+        socket.emit('error', { code: 'USER_NOT_FOUND', message: 'That user has not joined this space' });
+        return;
+      }
+
+      await this.redisClient.setUserRole(roomId, targetUserId, role);
+
+      // The target's connections may be on any instance
+      const changes = { assignedRole: role };
+      this.applySessionChanges(roomId, targetUserId, changes);
+      this.io.serverSideEmit(PEER_EVENTS.SESSION_CHANGED, { roomId, userId: targetUserId, changes });
+
+      const targetSession = await this.getLiveSession(roomId, targetUserId);
+      const targetName = targetSession?.userName || targetUserId;
+      this.sendPermissions(roomId, { userId: targetUserId, assignedRole: role });
+
+      this.io.to(roomId).emit('room:role_changed', {
+        userId: targetUserId,
+        userName: targetName,
+        role,
+        changedBy: session.userName,
+        participants: await this.getParticipants(roomId),
+        timestamp: Date.now()
+      });
+
+      console.log(`Role of ${targetName} in room ${roomId} set to ${role} by ${session.userName}`);
+    } catch (error) {
+      console.error('Error setting role:', error);
+      socket.emit('error', { code: 'ROLE_ERROR', message: error.message });
+    }
+  }
+
+  /**
+   * Admin hands admin rights to another participant ({ userId }).
+   * When the space owner does this it sticks; a successor's handover stays
+   * provisional and the owner reclaims admin on return.
+   */
+  async handleTransferAdmin(socket, data) {
+    const session = this.userSessions.get(socket.id);
+    if (!session) {
+      socket.emit('error', { code: 'NOT_IN_ROOM', message: 'Must join a room first' });
+      return;
+    }
+
+    if (!this.authorize(socket, session, 'room:transfer_admin')) return;
+
+    const { roomId } = session;
+    const { userId: targetUserId } = data || {};
+
+    if (!targetUserId || targetUserId === session.userId) {
+      socket.emit('error', { code: 'INVALID_ADMIN', message: 'Choose another participant to hand admin to' });
+      return;
+    }
+
+    try {
+      if (!await this.hasLiveSession(roomId, targetUserId)) {
+        socket.emit('error', { code: 'USER_NOT_FOUND', message: 'That user is not in this space' });
+        return;
+      }
+
+      const space = await this.redisClient.getSpace(roomId);
+      const source = session.userId === space?.ownerId
+        ? ADMIN_SOURCES.DELEGATED
+        : this.agent.getAdmin(roomId).source;
 
-    console.log(`Settings updated in room ${roomId}: groupChatEnabled=${groupChatEnabled}`);
+      const result = await this.applyAdminChange(roomId, targetUserId, source, 'transfer', session.userName, session.userId);
+      if (result.error) {
+        socket.emit('error', { code: 'ADMIN_ERROR', message: result.error });
+        return;
+      }
+
+      console.log(`Admin of room ${roomId} handed from ${session.userName} to ${targetUserId}`);
+    } catch (error) {
+      console.error('Error transferring admin:', error);
+      socket.emit('error', { code: 'ADMIN_ERROR', message: error.message });
+    }
   }
 
   async handleVectorCloudRequest(socket, data) {
@@ -522,10 +1612,14 @@ export class SocketHandler {
         // Instead, the client will use the clustering info we provide
       }));
 
+      const embedding = await this.agent.vectorDB.getEmbeddingInfo(roomId);
+
       socket.emit('vectorcloud:data', {
         roomId,
         points,
         count: points.length,
+        embeddingProvider: embedding.provider,
+        dimensions: embedding.dimensions,
         timestamp: Date.now()
       });
 
@@ -544,31 +1638,48 @@ export class SocketHandler {
     }
 
     const { roomId, userId, userName } = session;
-    const { topicPath, topicTitle, topicContent } = data;
+    const { nodeId, messageId: requestedId } = data || {};
+    const messageId = requestedId || uuidv4();
+    if (!this.authorize(socket, session, 'canvas:expand_topic', { messageId })) return;
+    if (!this.validateNodeId(socket, nodeId, { messageId })) return;
+    const toUser = (event, payload) => this.emitToUser(roomId, userId, event, payload);
 
     try {
-      console.log(`Canvas expand requested by ${userName}: ${topicTitle}`);
+      if (!await this.checkLimits(socket, session, 'canvas:expand_topic', { messageId })) return;
+      const controller = await this.startRequest(session, messageId);
 
-      // Treat this as a question about the topic
-      const question = `Tell me more about "${topicTitle}". What are the key details, implications, and related concepts?`;
+      console.log(`Canvas expand requested by ${userName}: node ${nodeId}`);
 
       // Get agent response
-      socket.emit('agent:typing');
+      toUser('agent:typing');
       
       const agentResponse = await this.agent.handleTopicExpansion(
         roomId,
         userId,
         userName,
-        socket.id,
-        topicPath,
-        topicTitle,
-        topicContent
+        this.userRoom(roomId, userId),
+        nodeId,
+        {
+          onQueued: (position) => toUser('agent:queued', { messageId, position }),
+          signal: controller.signal
+        }
       );
 
-      socket.emit('agent:done');
+      toUser('agent:done');
+
+      if (agentResponse.cancelled) {
+        toUser('agent:cancelled', { messageId, timestamp: Date.now() });
+        return;
+      }
+
+      if (agentResponse.error) {
+        toUser('error', { code: 'EXPAND_ERROR', message: agentResponse.error, messageId, nodeId });
+        return;
+      }
 
       // Send response to user
-      socket.emit('agent:response', {
+      toUser('agent:response', {
+        messageId,
         content: agentResponse.content,
         timestamp: Date.now()
       });
@@ -576,7 +1687,8 @@ export class SocketHandler {
       // If expansion created new canvas content, update everyone
       if (agentResponse.expansion) {
         this.io.to(roomId).emit('canvas:topic_expanded', {
-          topicPath,
+          nodeId,
+          topicTitle: agentResponse.expansion.title,
           expansion: agentResponse.expansion,
           expandedBy: userName
         });
@@ -584,11 +1696,14 @@ export class SocketHandler {
 
     } catch (error) {
       console.error('Error expanding canvas topic:', error);
-      socket.emit('agent:done');
-      socket.emit('error', {
+      toUser('agent:done');
+      toUser('error', {
         code: 'EXPAND_ERROR',
-        message: error.message
+        message: error.message,
+        messageId: messageId
       });
+    } finally {
+      await this.finishRequest(session, messageId).catch(error => console.error('Error finishing request:', error));
     }
   }
 
@@ -600,29 +1715,49 @@ export class SocketHandler {
     }
 
     const { roomId, userId, userName } = session;
-    const { topicPath, topicTitle, topicContent } = data;
+    const { nodeId, messageId: requestedId } = data || {};
+    const messageId = requestedId || uuidv4();
+    if (!this.authorize(socket, session, 'canvas:generate_diagram', { messageId })) return;
+    if (!this.validateNodeId(socket, nodeId, { messageId })) return;
+    const toUser = (event, payload) => this.emitToUser(roomId, userId, event, payload);
 
     try {
-      console.log(`Canvas diagram requested by ${userName} for: ${topicTitle}`);
+      if (!await this.checkLimits(socket, session, 'canvas:generate_diagram', { messageId })) return;
+      const controller = await this.startRequest(session, messageId);
+
+      console.log(`Canvas diagram requested by ${userName} for node ${nodeId}`);
 
       // Get agent to generate diagram
-      socket.emit('agent:typing');
+      toUser('agent:typing');
       
       const agentResponse = await this.agent.handleDiagramGeneration(
         roomId,
         userId,
         userName,
-        socket.id,
-        topicPath,
-        topicTitle,
-        topicContent
+        this.userRoom(roomId, userId),
+        nodeId,
+        {
+          onQueued: (position) => toUser('agent:queued', { messageId, position }),
+          signal: controller.signal
+        }
       );
 
-      socket.emit('agent:done');
+      toUser('agent:done');
+
+      if (agentResponse.cancelled) {
+        toUser('agent:cancelled', { messageId, timestamp: Date.now() });
+        return;
+      }
+
+      if (agentResponse.error) {
+        toUser('error', { code: 'DIAGRAM_ERROR', message: agentResponse.error, messageId, nodeId });
+        return;
+      }
 
       // Send response to user
       if (agentResponse.content) {
-        socket.emit('agent:response', {
+        toUser('agent:response', {
+          messageId,
           content: agentResponse.content,
           timestamp: Date.now()
         });
@@ -631,7 +1766,7 @@ export class SocketHandler {
       // If diagram was generated, broadcast to all users
       if (agentResponse.diagram) {
         this.io.to(roomId).emit('canvas:diagram_generated', {
-          topicPath,
+          nodeId,
           diagram: agentResponse.diagram,
           generatedBy: userName,
           requestedBy: userId,
@@ -641,11 +1776,269 @@ export class SocketHandler {
 
     } catch (error) {
       console.error('Error generating diagram:', error);
-      socket.emit('agent:done');
-      socket.emit('error', {
+      toUser('agent:done');
+      toUser('error', {
         code: 'DIAGRAM_ERROR',
-        message: error.message
+        message: error.message,
+        messageId: messageId
+      });
+    } finally {
+      await this.finishRequest(session, messageId).catch(error => console.error('Error finishing request:', error));
+    }
+  }
+
+  /**
+   * Send the latest canvas to a client whose copy fell behind (a
+   * canvas:patch did not apply to the version it has)
+   */
+  async handleCanvasResync(socket) {
+    const session = this.userSessions.get(socket.id);
+    if (!session) {
+      socket.emit('error', { code: 'NOT_IN_ROOM', message: 'Must join a room first' });
+      return;
+    }
+
+    // Always answered: the client ignores patches until it hears back
+    try {
+      const canvas = await this.agent.getLatestCanvas(session.roomId);
+      if (!canvas) {
+        socket.emit('canvas:resync_failed', { code: 'ROOM_NOT_FOUND', message: 'The room is not loaded' });
+        return;
+      }
+
+      socket.emit('canvas:full_update', {
+        canvas,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      console.error('Error resyncing canvas:', error);
+      socket.emit('canvas:resync_failed', { code: 'CANVAS_RESYNC_ERROR', message: 'Failed to load the canvas' });
+    }
+  }
+
+  /**
+   * List the kept canvas versions, newest first, with what triggered each
+   */
+  async handleCanvasHistory(socket) {
+    const session = this.userSessions.get(socket.id);
+    if (!session) {
+      socket.emit('error', { code: 'NOT_IN_ROOM', message: 'Must join a room first' });
+      return;
+    }
+
+    const { roomId } = session;
+
+    try {
+      const versions = await this.agent.getCanvasHistory(roomId);
+      socket.emit('canvas:history', {
+        versions,
+        currentVersion: this.agent.getRoomState(roomId)?.canvas?.version ?? 0
+      });
+    } catch (error) {
+      console.error('Error fetching canvas history:', error);
+      socket.emit('error', { code: 'CANVAS_HISTORY_ERROR', message: 'Failed to fetch canvas history' });
+    }
+  }
+
+  /**
+   * Compare two kept canvas versions ({ from, to }; to defaults to the current canvas)
+   */
+  async handleCanvasDiff(socket, data) {
+    const session = this.userSessions.get(socket.id);
+    if (!session) {
+      socket.emit('error', { code: 'NOT_IN_ROOM', message: 'Must join a room first' });
+      return;
+    }
+
+    const { roomId } = session;
+    const { from, to = null } = data || {};
+
+    if (!Number.isInteger(from) || (to !== null && !Number.isInteger(to))) {
+      socket.emit('error', { code: 'INVALID_VERSION', message: 'Canvas versions must be whole numbers' });
+      return;
+    }
+
+    try {
+      const result = await this.agent.diffCanvasVersions(roomId, from, to);
+      if (result.error) {
+        socket.emit('error', { code: 'CANVAS_VERSION_NOT_FOUND', message: result.error });
+        return;
+      }
+
+      socket.emit('canvas:diff', {
+        from: result.from,
+        to: result.to,
+        diff: result.diff
+      });
+    } catch (error) {
+      console.error('Error comparing canvas versions:', error);
+      socket.emit('error', { code: 'CANVAS_HISTORY_ERROR', message: 'Failed to compare canvas versions' });
+    }
+  }
+
+  /**
+   * Owner reverts the canvas to a kept version ({ version }). The room gets
+   * the change as usual (canvas:patch), then canvas:restored.
+   */
+  async handleCanvasRestore(socket, data) {
+    const session = this.userSessions.get(socket.id);
+    if (!session) {
+      socket.emit('error', { code: 'NOT_IN_ROOM', message: 'Must join a room first' });
+      return;
+    }
+
+    if (!this.authorize(socket, session, 'canvas:restore')) return;
+
+    const { roomId, userId, userName } = session;
+    const { version } = data || {};
+
+    if (!Number.isInteger(version)) {
+      socket.emit('error', { code: 'INVALID_VERSION', message: 'Choose a canvas version to restore' });
+      return;
+    }
+
+    try {
+      const result = await this.agent.restoreCanvasVersion(roomId, version, userId, userName);
+      if (result.error) {
+        socket.emit('error', { code: 'RESTORE_ERROR', message: result.error });
+        return;
+      }
+
+      this.io.to(roomId).emit('canvas:restored', {
+        version: result.version,
+        newVersion: result.newVersion,
+        restoredBy: userName,
+        timestamp: Date.now()
       });
+
+      console.log(`Canvas of room ${roomId} restored to version ${version} by ${userName}`);
+    } catch (error) {
+      console.error('Error restoring canvas version:', error);
+      socket.emit('error', { code: 'RESTORE_ERROR', message: error.message });
+    }
+  }
+
+  /**
+   * Session of a socket allowed to edit canvas nodes by hand, or null (the
+   * reason already sent)
+   */
+  canvasEditSession(socket, action, nodeId) {
+    const session = this.userSessions.get(socket.id);
+    if (!session) {
+      socket.emit('error', { code: 'NOT_IN_ROOM', message: 'Must join a room first' });
+      return null;
+    }
+
+    if (!this.authorize(socket, session, action, { nodeId })) return null;
+    if (!this.validateNodeId(socket, nodeId)) return null;
+    return session;
+  }
+
+  /**
+   * Run a hand edit of the canvas; the room gets it as a canvas:patch
+   */
+  async applyCanvasNodeChange(socket, nodeId, change) {
+    try {
+      const result = await change();
+      if (result.error) {
+        socket.emit('error', { code: 'CANVAS_EDIT_ERROR', message: result.error, nodeId });
+      }
+    } catch (error) {
+      console.error('Error editing canvas node:', error);
+      socket.emit('error', { code: 'CANVAS_EDIT_ERROR', message: 'Failed to change the canvas', nodeId });
+    }
+  }
+
+  /**
+   * Edit a node ({ nodeId, title?, content?, importance? }). Edited nodes
+   * are kept as they are by canvas refreshes.
+   */
+  async handleCanvasEditNode(socket, data) {
+    const { nodeId, title, content, importance } = data || {};
+    const session = this.canvasEditSession(socket, 'canvas:edit_node', nodeId);
+    if (!session) return;
+
+    const changes = {};
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim() || title.length > MAX_NODE_TITLE_LENGTH) {
+        socket.emit('error', { code: 'INVALID_NODE_EDIT', message: `Title must be 1-${MAX_NODE_TITLE_LENGTH} characters`, nodeId });
+        return;
+      }
+      changes.title = title.trim();
+    }
+    if (content !== undefined) {
+      if (typeof content !== 'string' || content.length > MAX_NODE_CONTENT_LENGTH) {
+        socket.emit('error', { code: 'INVALID_NODE_EDIT', message: `Content must be at most ${MAX_NODE_CONTENT_LENGTH} characters`, nodeId });
+        return;
+      }
+      changes.content = content;
+    }
+    if (importance !== undefined) {
+      if (!Number.isInteger(importance) || importance < 1 || importance > 10) {
+        socket.emit('error', { code: 'INVALID_NODE_EDIT', message: 'Importance must be a whole number from 1 to 10', nodeId });
+        return;
+      }
+      changes.importance = importance;
+    }
+    if (Object.keys(changes).length === 0) {
+      socket.emit('error', { code: 'INVALID_NODE_EDIT', message: 'Nothing to change', nodeId });
+      return;
+    }
+
+    const { roomId, userId, userName } = session;
+    await this.applyCanvasNodeChange(socket, nodeId,
+      () => this.agent.editCanvasNode(roomId, nodeId, changes, userId, userName));
+  }
+
+  /**
+   * Delete a node and everything under it ({ nodeId }); refreshes do not
+   * bring it back
+   */
+  async handleCanvasDeleteNode(socket, data) {
+    const { nodeId } = data || {};
+    const session = this.canvasEditSession(socket, 'canvas:delete_node', nodeId);
+    if (!session) return;
+
+    const { roomId, userId, userName } = session;
+    await this.applyCanvasNodeChange(socket, nodeId,
+      () => this.agent.deleteCanvasNode(roomId, nodeId, userId, userName));
+  }
+
+  /**
+   * Move a node ({ nodeId, parentId, index }): parentId null or left out
+   * for the top level, index left out for last
+   */
+  async handleCanvasMoveNode(socket, data) {
+    const { nodeId, parentId = null, index } = data || {};
+    const session = this.canvasEditSession(socket, 'canvas:move_node', nodeId);
+    if (!session) return;
+
+    if (parentId !== null && !this.validateNodeId(socket, parentId)) return;
+    if (index !== undefined && (!Number.isInteger(index) || index < 0)) {
+      socket.emit('error', { code: 'INVALID_NODE_EDIT', message: 'Index must be a whole number from 0', nodeId });
+      return;
+    }
+
+    const { roomId, userId, userName } = session;
+    await this.applyCanvasNodeChange(socket, nodeId,
+      () => this.agent.moveCanvasNode(roomId, nodeId, parentId, index, userId, userName));
+  }
+
+  /**
+   * Pin or unpin a node ({ nodeId, pinned })
+   */
+  async handleCanvasPinNode(socket, data) {
+    const { nodeId, pinned } = data || {};
+    const session = this.canvasEditSession(socket, 'canvas:pin_node', nodeId);
+    if (!session) return;
+
+    if (typeof pinned !== 'boolean') {
+      socket.emit('error', { code: 'INVALID_NODE_EDIT', message: 'Say whether to pin or unpin', nodeId });
+      return;
     }
+
+    const { roomId, userId, userName } = session;
+    await this.applyCanvasNodeChange(socket, nodeId,
+      () => this.agent.pinCanvasNode(roomId, nodeId, pinned, userId, userName));
   }
 }
@@ -3,6 +3,7 @@ import http from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { Server } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
 import cors from 'cors';
 import { v4 as uuidv4 } from 'uuid';
 import { RedisClient } from './services/redisClient.js';
@@ -10,7 +11,11 @@ import { FileStorage } from './services/storage/fileStorage.js';
 import { VectorDB } from './services/storage/vectorDB.js';
 import { LangGraphAgent } from './services/agent/langGraphAgent.js';
 import { SocketHandler } from './handlers/socketHandler.js';
+import { RateLimiter } from './services/limits/rateLimiter.js';
 import { ConvexService } from './services/convexClient.js';
+import { getRoomProviders } from './services/llm/chatModelFactory.js';
+import { TokenService, TOKEN_TYPES } from './services/auth/tokenService.js';
+import { ASSIGNABLE_ROLES } from './services/auth/roles.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -54,11 +59,121 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// API: Create new space
-app.post('/api/space/create', (req, res) => {
-  const spaceId = uuidv4();
-  console.log(`Space created: ${spaceId}`);
-  res.json({ spaceId, created: new Date().toISOString() });
+const MAX_SPACE_TITLE_LENGTH = 200;
+const MAX_SPACE_LIFETIME_HOURS = 24 * 30;
+const MAX_ROOM_LINGER_SECONDS = 24 * 60 * 60;
+
+// API: Create new space (registered so room:join can reject unknown ids)
+app.post('/api/space/create', async (req, res) => {
+  const { title, owner, expiresInHours, llmProvider, lingerSeconds, llmCallsPerDay, llmTokensPerDay } = req.body || {};
+
+  if (expiresInHours !== undefined
+    && !(typeof expiresInHours === 'number' && expiresInHours > 0 && expiresInHours <= MAX_SPACE_LIFETIME_HOURS)) {
+    return res.status(400).json({
+      error: `expiresInHours must be a number between 0 and ${MAX_SPACE_LIFETIME_HOURS}`
+    });
+  }
+
+  if (lingerSeconds !== undefined
+    && !(Number.isInteger(lingerSeconds) && lingerSeconds >= 0 && lingerSeconds <= MAX_ROOM_LINGER_SECONDS)) {
+    return res.status(400).json({
+      error: `lingerSeconds must be a whole number between 0 and ${MAX_ROOM_LINGER_SECONDS}`
+    });
+  }
+
+  // Daily LLM quota overrides (0 = unlimited)
+  for (const [name, value] of Object.entries({ llmCallsPerDay, llmTokensPerDay })) {
+    if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+      return res.status(400).json({ error: `${name} must be a whole number, 0 for unlimited` });
+    }
+  }
+
+  if (llmProvider !== undefined && !getRoomProviders().includes(llmProvider)) {
+    return res.status(400).json({
+      error: `LLM provider "${llmProvider}" is not enabled for this deployment`
+    });
+  }
+
+  try {
+    const spaceId = uuidv4();
+    const ownerId = `user-${uuidv4()}`;
+    const space = await redisClient.createSpace(spaceId, {
+      title: (typeof title === 'string' && title.trim() ? title.trim() : 'Untitled Space').slice(0, MAX_SPACE_TITLE_LENGTH),
+      owner: typeof owner === 'string' && owner.trim() ? owner.trim() : 'Anonymous',
+      ownerId,
+      llmProvider,
+      lingerSeconds,
+      llmCallsPerDay,
+      llmTokensPerDay,
+      expiresAt: expiresInHours ? Date.now() + expiresInHours * 60 * 60 * 1000 : null
+    });
+
+    console.log(`Space created: ${spaceId}`);
+    res.json({
+      spaceId,
+      title: space.title,
+      created: new Date(space.createdAt).toISOString(),
+      expiresAt: space.expiresAt ? new Date(space.expiresAt).toISOString() : null,
+      // Keep private - whoever holds it is the space admin
+      adminToken: tokenService.mintAdminToken(spaceId, ownerId, space.expiresAt),
+      // Share with participants
+      inviteToken: tokenService.mintInviteToken(spaceId, space.expiresAt)
+    });
+  } catch (error) {
+    console.error('Error creating space:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Mint another invite token (admin only: Authorization: Bearer <adminToken>)
+// Optional body { role } - the role first-time joiners get (default contributor)
+app.post('/api/space/:id/invites', async (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const claims = tokenService.verify(token);
+  const { role } = req.body || {};
+
+  if (!claims || claims.typ !== TOKEN_TYPES.ADMIN || claims.spaceId !== req.params.id) {
+    return res.status(403).json({ error: 'Admin token required' });
+  }
+
+  if (role !== undefined && !ASSIGNABLE_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` });
+  }
+
+  try {
+    const space = await redisClient.getSpace(req.params.id);
+    if (!space) {
+      return res.status(404).json({ error: 'Space not found' });
+    }
+
+    res.json({ inviteToken: tokenService.mintInviteToken(space.spaceId, space.expiresAt, role) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Space status - does it exist, and is anyone in it right now
+app.get('/api/space/:id', async (req, res) => {
+  try {
+    const space = await redisClient.getSpace(req.params.id);
+    if (!space) {
+      return res.status(404).json({ exists: false, live: false });
+    }
+
+    const activeUsers = await redisClient.getActiveUserCount(space.spaceId);
+    res.json({
+      exists: true,
+      live: activeUsers > 0,
+      activeUsers,
+      spaceId: space.spaceId,
+      title: space.title,
+      owner: space.owner,
+      created: new Date(space.createdAt).toISOString(),
+      expiresAt: space.expiresAt ? new Date(space.expiresAt).toISOString() : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Serve space page for any /space/:id route
@@ -72,22 +187,31 @@ const redisClient = new RedisClient(
   parseInt(process.env.REDIS_PORT || '6379')
 );
 
-const fileStorage = new FileStorage();
+const tokenService = new TokenService();
+const fileStorage = new FileStorage(redisClient);
 const vectorDB = new VectorDB(redisClient);
 const convexService = new ConvexService();
+const rateLimiter = new RateLimiter(redisClient);
 
 // Initialize LangGraph Agent
-const agent = new LangGraphAgent(redisClient, fileStorage, vectorDB, io);
+const agent = new LangGraphAgent(redisClient, fileStorage, vectorDB, io, rateLimiter);
 
 // Setup Socket.io handlers
-const socketHandler = new SocketHandler(io, redisClient, agent, convexService);
+const socketHandler = new SocketHandler(io, redisClient, agent, convexService, tokenService, rateLimiter);
 socketHandler.setupHandlers();
 
 const PORT = process.env.PORT || 3000;
 
+// Redis connections carrying Socket.io broadcasts between server instances
+let pubSubClients = [];
+
 server.listen(PORT, async () => {
   try {
     await redisClient.connect();
+    // Any instance can serve any room: rooms, broadcasts and messages between
+    // instances go through Redis (room state itself is kept there too)
+    pubSubClients = await redisClient.createPubSubClients();
+    io.adapter(createAdapter(...pubSubClients));
     await fileStorage.init();
     console.log(`Polyphony.live server running on port ${PORT}`);
     console.log(`Redis connected to ${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`);
@@ -101,6 +225,7 @@ server.listen(PORT, async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  await Promise.all(pubSubClients.map(client => client.disconnect()));
   await redisClient.disconnect();
   server.close(() => {
     console.log('Server closed');
@@ -0,0 +1,96 @@
+/**
+ * Structural diff between two canvas versions
+ *
+ * Topics are matched by node id (see canvasNodes.js): a renamed topic is
+ * changed, and one found under another parent is moved. Versions saved
+ * before nodes had ids are matched by their path of titles (central theme >
+ * sub-theme) instead; there a topic that disappeared in one place and
+ * appeared with the same title in another counts as moved rather than
+ * removed and added.
+ */
+
+// Fields of a topic compared between versions (children are topics of their own)
+const TOPIC_FIELDS = ['title', 'content', 'importance', 'expandedContent'];
+
+/**
+ * Every topic of a canvas by its key: key -> { path, node, parentId }
+ * (path is the titles from the top, for display; parentId is null at the top)
+ */
+function flattenTopics(canvas, byId) {
+  const topics = new Map();
+  const visit = (nodes, parentPath, parentId) => {
+    for (const node of nodes || []) {
+      const path = [...parentPath, node.title];
+      const key = byId ? node.id : path.join(' > ');
+      // Same title twice under one parent: keep the first
+      if (!topics.has(key)) topics.set(key, { path, node, parentId });
+      visit(node.children, path, node.id ?? null);
+    }
+  };
+  visit(canvas?.hierarchy, [], null);
+  return topics;
+}
+
+function hasNodeIds(canvas) {
+  const check = (nodes) => (nodes || []).every(node => node.id && check(node.children));
+  return check(canvas?.hierarchy);
+}
+
+/**
+ * Compare two canvases: { centralIdea, added, removed, moved, changed }
+ *   centralIdea - { from, to } if it changed, else null
+ *   added / removed - [{ id, path, title, importance }]
+ *   moved - [{ id, title, from, to }] (paths)
+ *   changed - [{ id, path, title, fields }] (names of the fields that differ)
+ */
+export function diffCanvases(from, to) {
+  const byId = hasNodeIds(from) && hasNodeIds(to);
+  const before = flattenTopics(from, byId);
+  const after = flattenTopics(to, byId);
+
+  const summarize = ({ path, node }) => ({ id: node.id, path, title: node.title, importance: node.importance ?? null });
+
+  const gone = [...before.entries()].filter(([key]) => !after.has(key)).map(([, topic]) => topic);
+  const added = [...after.entries()].filter(([key]) => !before.has(key)).map(([, topic]) => topic);
+
+  const removed = [];
+  const moved = [];
+  if (byId) {
+    removed.push(...gone);
+    // Under another parent node - a renamed parent moves nothing
+    for (const [key, { path, node, parentId }] of after) {
+      const previous = before.get(key);
+      if (previous && previous.parentId !== parentId) {
+        moved.push({ id: node.id, title: node.title, from: previous.path, to: path });
+      }
+    }
+  } else {
+    for (const topic of gone) {
+      const index = added.findIndex(a => a.node.title === topic.node.title);
+      if (index === -1) {
+        removed.push(topic);
+        continue;
+      }
+      const [destination] = added.splice(index, 1);
+      moved.push({ id: destination.node.id, title: topic.node.title, from: topic.path, to: destination.path });
+    }
+  }
+
+  const changed = [];
+  for (const [key, { path, node }] of after) {
+    const previous = before.get(key)?.node;
+    if (!previous) continue;
+    const fields = TOPIC_FIELDS.filter(field => (previous[field] ?? null) !== (node[field] ?? null));
+    if (fields.length > 0) changed.push({ id: node.id, path, title: node.title, fields });
+  }
+
+  const centralIdeaChanged = (from?.centralIdea ?? null) !== (to?.centralIdea ?? null);
+
+  return {
+    centralIdea: centralIdeaChanged ? { from: from?.centralIdea ?? null, to: to?.centralIdea ?? null } : null,
+    added: added.map(summarize),
+    removed: removed.map(summarize),
+    moved,
+    changed
+  };
+}
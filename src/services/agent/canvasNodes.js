@@ -0,0 +1,187 @@
+/**
+ * Stable ids for the nodes of the hierarchical canvas
+ *
+ * Every node gets an id when it first appears on the canvas. Events address
+ * nodes by id, so a request still finds its node after the hierarchy was
+ * reordered, and a refresh keeps the id of every theme that survives it.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+const normalizeTitle = (title) => String(title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Call visit(node, parent) for every node, parents before children
+ */
+export function walkNodes(hierarchy, visit, parent = null) {
+  for (const node of hierarchy || []) {
+    visit(node, parent);
+    walkNodes(node.children, visit, node);
+  }
+}
+
+/**
+ * Give every node without an id a new one
+ */
+export function assignNodeIds(hierarchy) {
+  walkNodes(hierarchy, (node) => {
+    if (!node.id) node.id = uuidv4();
+  });
+}
+
+/**
+ * Find a node by id: { node, parent, siblings, index, titles } (titles is
+ * the path of titles from the top), or null
+ */
+export function findNode(hierarchy, id, parent = null, titles = []) {
+  const siblings = hierarchy || [];
+  for (let index = 0; index < siblings.length; index++) {
+    const node = siblings[index];
+    const path = [...titles, node.title];
+    if (node.id === id) return { node, parent, siblings, index, titles: path };
+
+    const found = findNode(node.children, id, node, path);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * The node a piece of text about a topic belongs to: the node with the same
+ * title, else the one with the longest title found in it (or the other way
+ * round), else null
+ */
+export function matchNode(hierarchy, title) {
+  const wanted = normalizeTitle(title);
+  if (!wanted) return null;
+
+  let best = null;
+  let bestLength = 0;
+  let exact = null;
+  walkNodes(hierarchy, (node) => {
+    const candidate = normalizeTitle(node.title);
+    if (!candidate || exact) return;
+    if (candidate === wanted) {
+      exact = node;
+    } else if ((wanted.includes(candidate) || candidate.includes(wanted)) && candidate.length > bestLength) {
+      best = node;
+      bestLength = candidate.length;
+    }
+  });
+  return exact || best;
+}
+
+/**
+ * Carry ids from the previous hierarchy over to a regenerated one (edited
+ * in place). A node keeps an id the model echoed back if that id was on
+ * the previous canvas; otherwise it takes the id of a previous node with
+ * the same title. Each id goes to one node at most; the rest get new ids.
+ */
+export function carryNodeIds(previous, next) {
+  const previousIds = new Set();
+  const idsByTitle = new Map();
+  walkNodes(previous, (node) => {
+    if (!node.id) return;
+    previousIds.add(node.id);
+    const title = normalizeTitle(node.title);
+    if (!idsByTitle.has(title)) idsByTitle.set(title, node.id);
+  });
+
+  const used = new Set();
+  walkNodes(next, (node) => {
+    if (node.id && previousIds.has(node.id) && !used.has(node.id)) {
+      used.add(node.id);
+    } else {
+      delete node.id;
+    }
+  });
+
+  walkNodes(next, (node) => {
+    if (node.id) return;
+    const id = idsByTitle.get(normalizeTitle(node.title));
+    if (id && !used.has(id)) {
+      node.id = id;
+      used.add(id);
+    }
+  });
+
+  assignNodeIds(next);
+}
+
+/**
+ * Put a node under a parent (null = top level) at an index (default: last).
+ * Returns false if the parent is not in the hierarchy.
+ */
+export function insertNode(hierarchy, node, parentId = null, index = Infinity) {
+  let siblings = hierarchy;
+  if (parentId) {
+    const parent = findNode(hierarchy, parentId)?.node;
+    if (!parent) return false;
+    siblings = parent.children ||= [];
+  }
+  siblings.splice(Math.min(Math.max(index, 0), siblings.length), 0, node);
+  return true;
+}
+
+// Fields people set on a node, kept over what a refresh regenerates
+const HUMAN_FIELDS = ['title', 'content', 'importance', 'pinned', 'editedBy', 'editedAt'];
+
+/**
+ * Pinned nodes and nodes people edited or moved are authoritative: a
+ * refresh keeps them as they are, where they are
+ */
+export function isAuthoritative(node) {
+  return Boolean(node.pinned || node.editedBy);
+}
+
+export function markEdited(node, userId, userName) {
+  node.editedBy = { userId, userName };
+  node.editedAt = Date.now();
+}
+
+/**
+ * Keep what people did to the canvas when a refresh regenerates it (next
+ * is edited in place, after carryNodeIds): themes they removed stay
+ * removed, and authoritative nodes keep their fields and their place -
+ * put back there if the refresh dropped or moved them.
+ */
+export function preserveHumanEdits(previous, next, removedTitles = []) {
+  const removed = new Set(removedTitles.map(normalizeTitle));
+  const prune = (nodes) => {
+    const kept = nodes.filter(node => !removed.has(normalizeTitle(node.title)));
+    nodes.splice(0, nodes.length, ...kept);
+    for (const node of kept) {
+      if (node.children) prune(node.children);
+    }
+  };
+  prune(next);
+
+  // Parents before children, so a node put back can take its children along
+  walkNodes(previous, (node, parent) => {
+    if (!isAuthoritative(node)) return;
+    const index = (parent ? parent.children : previous).indexOf(node);
+    const parentId = parent?.id || null;
+
+    const place = (target) => insertNode(next, target, parentId, index) || insertNode(next, target, null, index);
+
+    let target;
+    const found = findNode(next, node.id);
+    if (found) {
+      target = found.node;
+      if ((found.parent?.id || null) !== parentId || found.index !== index) {
+        found.siblings.splice(found.index, 1);
+        place(target);
+      }
+    } else {
+      // Dropped by the refresh: back with whichever children it did not keep elsewhere
+      target = structuredClone(node);
+      target.children = (target.children || []).filter(child => !findNode(next, child.id));
+      place(target);
+    }
+
+    for (const field of HUMAN_FIELDS) {
+      if (node[field] === undefined) delete target[field];
+      else target[field] = node[field];
+    }
+  });
+}
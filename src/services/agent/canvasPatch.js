@@ -0,0 +1,68 @@
+/**
+ * JSON Patch (RFC 6902) between two versions of a canvas
+ *
+ * Only what the canvas needs: objects are compared key by key and arrays
+ * position by position (a longer or shorter array adds or removes at the
+ * end). Array items that are different topics (another node id) are replaced
+ * whole rather than rewritten field by field. Ops only use add, remove and
+ * replace; clients apply them in order to the version they have.
+ */
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+// JSON Pointer escaping of a key (RFC 6901)
+const pointer = (path, key) => `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+// Array items are diffed in place only when they are the same topic (same
+// node id; the same title for nodes saved before they had ids)
+function sameItem(a, b) {
+  if (!isObject(a) || !isObject(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+  if (a.id || b.id) return a.id === b.id;
+  return a.title === b.title;
+}
+
+/**
+ * Ops turning `from` into `to` (both left untouched)
+ */
+export function createPatch(from, to, path = '') {
+  if (from === to) return [];
+  if (!isObject(from) || !isObject(to) || Array.isArray(from) !== Array.isArray(to)) {
+    return JSON.stringify(from) === JSON.stringify(to) ? [] : [{ op: 'replace', path, value: to }];
+  }
+
+  const ops = [];
+
+  if (Array.isArray(to)) {
+    const common = Math.min(from.length, to.length);
+    for (let i = 0; i < common; i++) {
+      if (sameItem(from[i], to[i]) || !isObject(to[i])) {
+        ops.push(...createPatch(from[i], to[i], pointer(path, i)));
+      } else {
+        ops.push({ op: 'replace', path: pointer(path, i), value: to[i] });
+      }
+    }
+    // Remove from the end so earlier indices stay valid
+    for (let i = from.length - 1; i >= common; i--) {
+      ops.push({ op: 'remove', path: pointer(path, i) });
+    }
+    for (let i = common; i < to.length; i++) {
+      ops.push({ op: 'add', path: pointer(path, '-'), value: to[i] });
+    }
+    return ops;
+  }
+
+  for (const key of Object.keys(from)) {
+    if (!(key in to) || to[key] === undefined) {
+      if (from[key] !== undefined) ops.push({ op: 'remove', path: pointer(path, key) });
+    }
+  }
+  for (const [key, value] of Object.entries(to)) {
+    if (value === undefined) continue;
+    if (!(key in from) || from[key] === undefined) {
+      ops.push({ op: 'add', path: pointer(path, key), value });
+    } else {
+      ops.push(...createPatch(from[key], value, pointer(path, key)));
+    }
+  }
+  return ops;
+}
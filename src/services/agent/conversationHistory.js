@@ -0,0 +1,89 @@
+/**
+ * Server-side conversation history handed to the agent with each message
+ *
+ * Private chat keeps one history per user in a room; group chat uses the
+ * room transcript, with each speaker named. Both are cut to the newest
+ * messages that fit the token budget, so clients never supply history.
+ */
+
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET) || 4000;
+
+// Rough estimate, as in MemoryManager and FileStorage
+const CHARS_PER_TOKEN = 4;
+
+// Transcript entries read when building group history (the transcript's cap)
+const MAX_TRANSCRIPT_ENTRIES = 500;
+
+export class ConversationHistory {
+  constructor(redisClient, tokenBudget = HISTORY_TOKEN_BUDGET) {
+    this.redisClient = redisClient;
+    this.tokenBudget = tokenBudget;
+  }
+
+  /**
+   * A user's private history in a room: [{ role, content, timestamp, messageId? }],
+   * leaving out the message `exclude` (a retried message already recorded)
+   */
+  async getUserHistory(roomId, userId, { exclude = null } = {}) {
+    const history = await this.redisClient.getHistory(roomId, userId);
+    return exclude ? history.filter(entry => entry.messageId !== exclude) : history;
+  }
+
+  async hasUserMessage(roomId, userId, messageId) {
+    const history = await this.redisClient.getHistory(roomId, userId);
+    return history.some(entry => entry.messageId === messageId);
+  }
+
+  /**
+   * Record a private message ('user' or 'assistant'), dropping the oldest
+   * messages once the history exceeds the token budget. A user message
+   * carries its message id, so a retry of it is not recorded twice.
+   */
+  async append(roomId, userId, role, content, messageId = null) {
+    await this.redisClient.appendHistory(roomId, userId, {
+      role,
+      content,
+      timestamp: Date.now(),
+      ...(messageId && { messageId })
+    });
+
+    const history = await this.redisClient.getHistory(roomId, userId);
+    const kept = this.trim(history).length;
+    if (kept < history.length) {
+      await this.redisClient.trimHistory(roomId, userId, kept);
+    }
+  }
+
+  /**
+   * The room's group chat as agent history: [{ role, content }], leaving
+   * out the message `exclude`
+   */
+  async getRoomHistory(roomId, { exclude = null } = {}) {
+    const transcript = await this.redisClient.getTranscript(roomId, MAX_TRANSCRIPT_ENTRIES);
+    return this.trim(transcript.filter(entry => !exclude || entry.id !== exclude).map(entry => (entry.type === 'agent'
+      ? { role: 'assistant', content: entry.content }
+      : { role: 'user', content: `${entry.userName}: ${entry.content}` }
+    )));
+  }
+
+  async hasRoomMessage(roomId, messageId) {
+    const transcript = await this.redisClient.getTranscript(roomId, MAX_TRANSCRIPT_ENTRIES);
+    return transcript.some(entry => entry.id === messageId);
+  }
+
+  /**
+   * Newest messages whose combined size fits the token budget
+   */
+  trim(messages) {
+    let tokens = 0;
+    let start = messages.length;
+
+    while (start > 0) {
+      tokens += Math.ceil((messages[start - 1].content || '').length / CHARS_PER_TOKEN);
+      if (tokens > this.tokenBudget) break;
+      start--;
+    }
+
+    return messages.slice(start);
+  }
+}
@@ -10,123 +10,162 @@
  */
 
 import { StateGraph, END, Annotation } from '@langchain/langgraph';
-import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
-import { SystemMessage, HumanMessage, AIMessage } from '@langchain/core/messages';
+import { SystemMessage, HumanMessage, AIMessage, ToolMessage } from '@langchain/core/messages';
 import { v4 as uuidv4 } from 'uuid';
-import fs from 'fs';
-import path from 'path';
-import os from 'os';
 import { MemoryManager } from './memoryManager.js';
+import { RoomWorkQueue } from './roomWorkQueue.js';
+import { diffCanvases } from './canvasDiff.js';
+import { createPatch } from './canvasPatch.js';
+import {
+  assignNodeIds, carryNodeIds, findNode, insertNode, isAuthoritative, markEdited, matchNode, preserveHumanEdits
+} from './canvasNodes.js';
+import { createChatModel, getDefaultProvider, getRoomProviders } from '../llm/chatModelFactory.js';
+import { messageText } from '../llm/messageFormat.js';
+import { TOOLS, getToolSchemas } from '../tools/toolDefinitions.js';
+import { ToolExecutor } from '../tools/toolExecutor.js';
 
-// Directory for temporary canvas storage
-const CANVAS_STORAGE_DIR = process.env.CANVAS_STORAGE_DIR || path.join(os.tmpdir(), 'polyphony-canvases');
+const MAX_ITERATIONS = 5;
 
-// Ensure storage directory exists
-if (!fs.existsSync(CANVAS_STORAGE_DIR)) {
-  fs.mkdirSync(CANVAS_STORAGE_DIR, { recursive: true });
-}
+// Tools the agent may call natively (schemas come from toolDefinitions.js)
+const AGENT_TOOLS = [
+  TOOLS.CONTRIBUTE,
+  TOOLS.REFRESH_CANVAS,
+  TOOLS.MERMAID_VISUALIZE,
+  TOOLS.READ_FILE_SECTION,
+  TOOLS.SEARCH_KNOWLEDGE,
+  TOOLS.CREATE_KNOWLEDGE_ENTRY,
+  TOOLS.RENDER_VISUALIZATION
+];
 
-// Model configuration
-// ⚠️ DO NOT MODIFY - Model specified by user and verified from official docs
-// New models release frequently, but trust the user's explicit model choice here
-// See: https://ai.google.dev/gemini-api/docs/models
-const MODEL_NAME = 'gemini-3-pro-preview';
-const MAX_ITERATIONS = 5;
+// When the agent answers in group chat: every message, or only those that @-mention it
+export const AGENT_REPLY_MODES = ['all', 'mentions'];
+
+// How a room's current admin got the role
+export const ADMIN_SOURCES = {
+  OWNER: 'owner',           // the space owner (admin token holder)
+  DELEGATED: 'delegated',   // handed over by the space owner with room:transfer_admin
+  SUCCESSION: 'succession'  // took over because the admin left; the owner reclaims on return
+};
+
+// Sent to the other server instances (Socket.io serverSideEmit) when a room's
+// shared state or canvas changed in Redis, so they refresh their copy
+const ROOM_STATE_CHANGED = 'room:state_changed';
+
+// Canvas versions kept per room for canvas:history and canvas:restore
+const CANVAS_HISTORY_VERSIONS = parseInt(process.env.CANVAS_HISTORY_VERSIONS) || 50;
+
+// Titles of themes people deleted, kept so refreshes do not bring them back
+const MAX_REMOVED_TOPICS = 50;
+
+// Agent contributions (contribute, mermaid_visualize) kept on the canvas, newest last
+const MAX_CANVAS_CONTRIBUTIONS = 100;
 
 /**
  * Canvas State - Represents the agent's hierarchical understanding
- * Persists to disk for durability across user disconnects/reconnects
+ * The canvas is kept in Redis so every server instance serves the same one;
+ * this is an instance's copy of it, refreshed when another instance changes it
  */
 class CanvasState {
-  constructor(roomId, io) {
+  constructor(roomId, io, redisClient) {
     this.roomId = roomId;
     this.io = io;
-    this.canvas = {
+    this.redisClient = redisClient;
+    this.canvas = CanvasState.empty();
+  }
+
+  static empty() {
+    return {
       version: 0,
       lastUpdated: Date.now(),
       centralIdea: null,
       hierarchy: []
     };
-    this.storagePath = path.join(CANVAS_STORAGE_DIR, `${roomId}.json`);
-    
-    // Try to load existing canvas from disk
-    this.loadFromDisk();
   }
 
   /**
-   * Load canvas from disk if it exists
+   * Load the shared canvas from Redis
    */
-  loadFromDisk() {
-    try {
-      if (fs.existsSync(this.storagePath)) {
-        const data = fs.readFileSync(this.storagePath, 'utf-8');
-        const savedCanvas = JSON.parse(data);
-        this.canvas = savedCanvas;
-        console.log(`CanvasState: loaded version ${this.canvas.version} for room ${this.roomId} from disk`);
-        return true;
-      }
-    } catch (error) {
-      console.error(`CanvasState: error loading from disk for room ${this.roomId}:`, error);
-    }
-    return false;
+  async load() {
+    this.canvas = await this.redisClient.getCanvas(this.roomId) || CanvasState.empty();
+    return this.canvas;
   }
 
   /**
-   * Save canvas to disk
+   * Change the canvas under the room lock: change(canvas) edits the latest
+   * shared copy in place, or returns false to leave it as it is. A new
+   * version is saved, recorded in the room's canvas history with what
+   * triggered it ({ type, userId, userName, ... }), sent to the room as a
+   * patch on the previous version (canvas:patch) and announced to other
+   * instances.
    */
-  saveToDisk() {
-    try {
-      fs.writeFileSync(this.storagePath, JSON.stringify(this.canvas, null, 2));
-      return true;
-    } catch (error) {
-      console.error(`CanvasState: error saving to disk for room ${this.roomId}:`, error);
-      return false;
+  async mutate(change, trigger = { type: 'update' }) {
+    const result = await this.redisClient.withRoomLock(this.roomId, async () => {
+      const latest = await this.load();
+      const previous = structuredClone(latest);
+      if (change(latest) === false) return null;
+      assignNodeIds(latest.hierarchy);
+
+      latest.version++;
+      latest.lastUpdated = Date.now();
+      await this.redisClient.saveCanvas(this.roomId, latest);
+      await this.redisClient.addCanvasVersion(this.roomId, {
+        version: latest.version,
+        timestamp: latest.lastUpdated,
+        trigger,
+        canvas: latest
+      }, CANVAS_HISTORY_VERSIONS);
+      return { canvas: latest, previous };
+    });
+    if (!result) return null;
+    const { canvas, previous } = result;
+
+    // Broadcast the change to all users; a patch bigger than the canvas
+    // (a redraw) replaces the canvas whole
+    let ops = createPatch(previous, canvas);
+    if (JSON.stringify(ops).length > JSON.stringify(canvas).length) {
+      ops = [{ op: 'replace', path: '', value: canvas }];
     }
+    this.io.to(this.roomId).emit('canvas:patch', {
+      baseVersion: previous.version,
+      version: canvas.version,
+      ops,
+      timestamp: Date.now()
+    });
+    this.io.serverSideEmit(ROOM_STATE_CHANGED, this.roomId);
+
+    console.log(`CanvasState: updated to version ${canvas.version} for room ${this.roomId}`);
+    return canvas;
   }
 
   /**
-   * Delete canvas file from disk (called when room is cleaned up)
+   * Update the canvas with new hierarchical understanding (trigger: see mutate)
    */
-  static deleteFromDisk(roomId) {
-    try {
-      const storagePath = path.join(CANVAS_STORAGE_DIR, `${roomId}.json`);
-      if (fs.existsSync(storagePath)) {
-        fs.unlinkSync(storagePath);
-        console.log(`CanvasState: deleted storage for room ${roomId}`);
-        return true;
+  async update(hierarchicalData, trigger) {
+    return this.mutate((canvas) => {
+      if (hierarchicalData.centralIdea) {
+        canvas.centralIdea = hierarchicalData.centralIdea;
       }
-    } catch (error) {
-      console.error(`CanvasState: error deleting from disk for room ${roomId}:`, error);
-    }
-    return false;
+
+      if (hierarchicalData.hierarchy) {
+        // Themes that survive a redraw keep their node ids; what people
+        // pinned, edited or deleted stays that way
+        carryNodeIds(canvas.hierarchy, hierarchicalData.hierarchy);
+        preserveHumanEdits(canvas.hierarchy, hierarchicalData.hierarchy, canvas.removedTopics);
+        canvas.hierarchy = hierarchicalData.hierarchy;
+      }
+    }, trigger);
   }
 
   /**
-   * Update the canvas with new hierarchical understanding
+   * Add an agent contribution to the canvas feed, attached (nodeId) to the
+   * node whose title best matches it, if any
    */
-  async update(hierarchicalData) {
-    this.canvas.version++;
-    this.canvas.lastUpdated = Date.now();
-    
-    if (hierarchicalData.centralIdea) {
-      this.canvas.centralIdea = hierarchicalData.centralIdea;
-    }
-    
-    if (hierarchicalData.hierarchy) {
-      this.canvas.hierarchy = hierarchicalData.hierarchy;
-    }
-
-    // Save to disk for persistence
-    this.saveToDisk();
-
-    // Broadcast to all users
-    this.io.to(this.roomId).emit('canvas:full_update', {
-      canvas: this.canvas,
-      timestamp: Date.now()
-    });
-
-    console.log(`CanvasState: updated to version ${this.canvas.version} for room ${this.roomId}`);
-    return this.canvas;
+  async addContribution(contribution, trigger) {
+    return this.mutate((canvas) => {
+      const node = matchNode(canvas.hierarchy, contribution.title);
+      const entry = { ...contribution, nodeId: node?.id || null };
+      canvas.contributions = [...(canvas.contributions || []), entry].slice(-MAX_CANVAS_CONTRIBUTIONS);
+    }, trigger);
   }
 
   /**
@@ -138,7 +177,8 @@ class CanvasState {
 
   /**
    * Export canvas as markdown (hierarchical order)
-   * Includes all content including diagrams
+   * Includes all content including diagrams; contributions follow the node
+   * they are attached to, the rest come last
    */
   exportToMarkdown() {
     let md = `# ${this.canvas.centralIdea || 'Polyphony Session'}\n\n`;
@@ -147,10 +187,30 @@ class CanvasState {
     for (const level1 of this.canvas.hierarchy || []) {
       md += this.exportNodeToMarkdown(level1, 2);
     }
+
+    const unattached = (this.canvas.contributions || [])
+      .filter(c => !c.nodeId || !findNode(this.canvas.hierarchy, c.nodeId));
+    if (unattached.length > 0) {
+      md += `## Contributions\n\n`;
+      for (const contribution of unattached) {
+        md += this.exportContributionToMarkdown(contribution, 3);
+      }
+    }
     
     return md;
   }
 
+  exportContributionToMarkdown(contribution, level) {
+    const heading = '#'.repeat(Math.min(level, 6));
+    let md = `${heading} ${contribution.title}\n\n`;
+    md += `*${contribution.type} by ${contribution.userName}, ${new Date(contribution.timestamp).toLocaleString()}*\n\n`;
+    md += `${contribution.content}\n\n`;
+    if (contribution.sources?.length > 0) {
+      md += `*Sources: ${contribution.sources.join(', ')}*\n\n`;
+    }
+    return md;
+  }
+
   /**
    * Export a single node and its children to markdown
    */
@@ -167,6 +227,10 @@ class CanvasState {
     if (node.expandedContent) {
       md += `${node.expandedContent}\n\n`;
     }
+
+    for (const contribution of (this.canvas.contributions || []).filter(c => c.nodeId === node.id)) {
+      md += this.exportContributionToMarkdown(contribution, level + 1);
+    }
     
     // Export children recursively
     if (node.children && node.children.length > 0) {
@@ -183,32 +247,47 @@ class CanvasState {
  * LangGraph Agent Implementation
  */
 export class LangGraphAgent {
-  constructor(redisClient, fileStorage, vectorDB, io) {
+  constructor(redisClient, fileStorage, vectorDB, io, rateLimiter = null) {
     this.redisClient = redisClient;
     this.fileStorage = fileStorage;
     this.vectorDB = vectorDB;
     this.io = io;
+    this.rateLimiter = rateLimiter; // Counts each room's model calls against its space's daily quota
+    // Agent runs that may change a room's canvas take turns (across instances)
+    this.workQueue = new RoomWorkQueue(redisClient);
     
-    // Room state management
-    this.roomStates = new Map(); // roomId -> { canvasState, adminUserId, settings }
-    
-    // Initialize model
-    const apiKey = process.env.GOOGLE_AI_API_KEY || process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      throw new Error('GOOGLE_AI_API_KEY or GEMINI_API_KEY required');
-    }
+    // Room state management: this instance's copy of the shared state kept in
+    // Redis (admin, settings, canvas), plus what only lives here (model, memory)
+    this.roomStates = new Map(); // roomId -> { canvasState, adminUserId, adminSource, settings }
 
-    this.model = new ChatGoogleGenerativeAI({
-      model: MODEL_NAME,
-      apiKey,
-      temperature: 0.3, // Lower temperature for more consistent hierarchical organization
-      maxOutputTokens: 8192
+    // Another instance changed a room - refresh this instance's copy
+    this.io.on(ROOM_STATE_CHANGED, (roomId) => {
+      this.syncRoom(roomId).catch(error => console.error(`LangGraphAgent: error syncing room ${roomId}:`, error));
     });
+    
+    // Initialize deployment-wide model (rooms may override, see updateSettings)
+    this.model = createChatModel(getDefaultProvider());
+
+    // File, knowledge and visualization tools are shared with the legacy agent;
+    // canvas tools (contribute, mermaid) are handled here
+    this.toolExecutor = new ToolExecutor(
+      fileStorage,
+      vectorDB,
+      this.handleVisualization.bind(this),
+      null
+    );
 
     // Initialize the graph
     this.graph = this.buildGraph();
     
-    console.log(`LangGraphAgent initialized with model: ${MODEL_NAME}`);
+    console.log(`LangGraphAgent initialized with model: ${this.model.modelName} (${this.model.providerName})`);
+  }
+
+  /**
+   * Get the chat model serving a room (falls back to the deployment default)
+   */
+  getModel(roomId) {
+    return this.roomStates.get(roomId)?.model || this.model;
   }
 
   /**
@@ -244,6 +323,24 @@ export class LangGraphAgent {
       }),
       finalResponse: Annotation({
         default: () => ''
+      }),
+      canvasData: Annotation({
+        default: () => null
+      }),
+      answerPrompt: Annotation({
+        default: () => ''
+      }),
+      // Tool-calling scratchpad for the current turn: AI tool calls + tool results
+      toolMessages: Annotation({
+        reducer: (x, y) => x.concat(y),
+        default: () => []
+      }),
+      pendingToolCalls: Annotation({
+        default: () => []
+      }),
+      toolResults: Annotation({
+        reducer: (x, y) => x.concat(y),
+        default: () => []
       })
     });
 
@@ -254,6 +351,8 @@ export class LangGraphAgent {
     workflow.addNode('understand', this.understandNode.bind(this));
     workflow.addNode('refresh_canvas', this.refreshCanvasNode.bind(this));
     workflow.addNode('answer_question', this.answerQuestionNode.bind(this));
+    workflow.addNode('agent', this.agentNode.bind(this));
+    workflow.addNode('tools', this.toolsNode.bind(this));
 
     // Define edges
     workflow.setEntryPoint('understand');
@@ -272,7 +371,18 @@ export class LangGraphAgent {
     );
     
     workflow.addEdge('refresh_canvas', 'answer_question');
-    workflow.addEdge('answer_question', END);
+    workflow.addEdge('answer_question', 'agent');
+
+    // Tool loop: agent -> tools -> agent until the model answers without tool calls
+    workflow.addConditionalEdges(
+      'agent',
+      (state) => (state.pendingToolCalls.length > 0 ? 'tools' : END),
+      {
+        tools: 'tools',
+        [END]: END
+      }
+    );
+    workflow.addEdge('tools', 'agent');
 
     return workflow.compile();
   }
@@ -280,14 +390,13 @@ export class LangGraphAgent {
   /**
    * Understand Node: Analyze the user's message and current state
    */
-  async understandNode(state) {
+  async understandNode(state, config) {
     const { roomId } = state;
     const messages = state.messages || [];
     
     if (!messages.length) {
       console.warn('understandNode: No messages in state');
       return {
-        ...state,
         canvasNeedsRefresh: false,
         knowledgeEntries: [],
         iteration: state.iteration + 1
@@ -332,16 +441,16 @@ EXTRACTED_THEME: <the actual subject>`;
       ? lastMessage.content 
       : lastMessage.content.toString();
 
-    const response = await this.model.invoke([
+    const response = await this.getModel(roomId).invoke([
       new SystemMessage(understandingPrompt),
       new HumanMessage(messageContent)
-    ]);
+    ], { signal: config?.signal });
 
     const content = response.content.toString();
     const needsRefresh = content.includes('NEEDS_REFRESH: true');
     
+    // Partial update - returning the whole state would re-append messages via the reducer
     return {
-      ...state,
       canvasNeedsRefresh: needsRefresh,
       knowledgeEntries: allKnowledge,
       iteration: state.iteration + 1
@@ -349,17 +458,43 @@ EXTRACTED_THEME: <the actual subject>`;
   }
 
   /**
-   * Refresh Canvas Node: Re-ingest all data and redraw the canvas
+   * Refresh Canvas Node: Re-ingest all data and redraw the canvas. Only the
+   * redraw takes the room's turn (see RoomWorkQueue), so redraws apply in
+   * order while the rest of a run (answering, tools) does not wait.
    */
-  async refreshCanvasNode(state) {
+  async refreshCanvasNode(state, config) {
+    let turn;
+    try {
+      turn = await this.workQueue.acquire(state.roomId, {
+        signal: config?.signal,
+        onQueued: config?.configurable?.onQueued
+      });
+      return await this.redrawCanvas(state, config);
+    } finally {
+      await turn?.release();
+    }
+  }
+
+  async redrawCanvas(state, config) {
     const { roomId } = state;
     
     console.log(`LangGraphAgent: refreshing canvas for room ${roomId}`);
     
     // Get ALL data from Redis
     const allKnowledge = await this.vectorDB.getAllKnowledge(roomId);
-    const files = this.fileStorage.listRoomFiles(roomId);
+    const files = await this.fileStorage.listRoomFiles(roomId);
     const roomState = this.roomStates.get(roomId);
+    // Redraw from the canvas as the previous turn left it
+    await roomState?.canvasState?.load();
+
+    // Themes already on the canvas, with their ids, so the redraw can say which ones it keeps
+    const describeThemes = (nodes, depth = 0) => (nodes || []).map(node =>
+      `${'  '.repeat(depth)}- [${node.id}] ${node.title}${isAuthoritative(node) ? ' (SET BY PARTICIPANTS)' : ''}\n`
+      + describeThemes(node.children, depth + 1)
+    ).join('');
+    const currentCanvas = roomState?.canvasState?.get();
+    const currentThemes = describeThemes(currentCanvas?.hierarchy);
+    const removedTopics = currentCanvas?.removedTopics || [];
     
     // Build comprehensive refresh prompt
     const refreshPrompt = `You are the Polyphony Synthesis Agent. Your job is to MODEL THE ACTUAL CONVERSATION happening in this space.
@@ -375,6 +510,12 @@ USER: ${k.userId}
 Uploaded Files (${files.length}):
 ${files.map(f => `- ${f.fileName} (${f.pageCount} pages)`).join('\n')}
 
+Current Canvas (theme ids in brackets):
+${currentThemes || '- (empty)'}
+${removedTopics.length > 0 ? `
+Themes participants deleted (do not bring them back):
+${removedTopics.map(title => `- ${title}`).join('\n')}
+` : ''}
 CRITICAL - EXTRACT ACTUAL THEMES FROM THE CONTENT:
 - If users talk about "meaning of life" → Central Idea: "The Meaning of Life"
 - If they discuss philosophy → Themes: "Philosophical Perspectives", "Existentialism", "Ethics"
@@ -401,6 +542,8 @@ Your task - Create a CANVAS that MODELS THE ACTUAL DISCUSSION:
    - Level 3 (importance 3-4): Specific details and examples
 5. PRUNE off-topic or outdated info
 6. SYNTHESIZE across sources - connect the dots between different documents
+7. KEEP THE "id" of every theme from the current canvas that you keep, even if you rename or move it; leave "id" out for new themes
+8. Themes marked SET BY PARTICIPANTS were written or placed by people - keep them exactly as they are
 
 WHEN YOU IDENTIFY A CONFLICT (e.g., "PRD requires 5-min updates" vs "API doc shows 84.7% capacity"):
 - Create a specific node titled something like "Conflict: X vs Y"
@@ -413,6 +556,7 @@ Respond in this JSON format:
   "centralIdea": "The actual topic users are discussing",
   "hierarchy": [
     {
+      "id": "id of this theme on the current canvas (omit if new)",
       "title": "Actual Theme from Conversation",
       "content": "What this theme means in context",
       "importance": 10,
@@ -435,10 +579,10 @@ IMPORTANCE SCORING GUIDE:
 - 3-4: Background details
 - 1-2: Minor points`;
 
-    const response = await this.model.invoke([
+    const response = await this.getModel(roomId).invoke([
       new SystemMessage(refreshPrompt),
       new HumanMessage('Please refresh the canvas based on all available information.')
-    ]);
+    ], { signal: config?.signal });
 
     // Parse the JSON response
     let canvasData;
@@ -463,15 +607,19 @@ IMPORTANCE SCORING GUIDE:
       };
     }
 
+    // A cancelled request must not redraw the shared canvas
+    config?.signal?.throwIfAborted();
+
     // Update the canvas
     if (roomState?.canvasState) {
-      await roomState.canvasState.update(canvasData);
+      await roomState.canvasState.update(canvasData, {
+        type: 'refresh',
+        userId: state.userId,
+        userName: state.userName
+      });
     }
 
-    return {
-      ...state,
-      canvasData
-    };
+    return { canvasData };
   }
 
   /**
@@ -593,6 +741,9 @@ IMPORTANCE SCORING GUIDE:
       // Standard single-query retrieval
       relevantKnowledge = await this.vectorDB.searchKnowledge(roomId, query, 5);
     }
+
+    // Uploaded files can be read directly with read_file_section
+    const roomFiles = (await this.fileStorage.listRoomFiles(roomId)).filter(f => !f.parseError);
     
     // Build answer prompt with explicit grounding instructions
     const answerPrompt = `You are the Polyphony Agent - a synthesis agent that helps users explore complex topics by grounding responses in the uploaded documents.
@@ -620,10 +771,24 @@ ${relevantKnowledge.map((k, i) => `
 `).join('\n')}
 === END RELEVANT KNOWLEDGE ===
 
-AVAILABLE TOOLS:
-- contribute(type, title, content, importance, tags): Add insights to the collective understanding. This updates BOTH the canvas AND knowledge base automatically. Use for synthesis, insights, and key findings.
-- refresh_canvas(reason): Rebuild the entire canvas when topic shifts significantly.
-- mermaid_visualize(mermaid_code): Create a Mermaid diagram and display it on the shared canvas. Use for flowcharts, sequence diagrams, mind maps, or any visual representation.
+UPLOADED FILES (read any part with read_file_section; chunks are 0-indexed):
+${roomFiles.length > 0
+    ? roomFiles.map(f => `- "${f.fileName}" (file_id: ${f.fileId}, ${f.chunkCount} chunks)`).join('\n')
+    : '- None'}
+
+AVAILABLE TOOLS (call them through function calling - never write tool calls in your reply text):
+- contribute: Add insights to the collective understanding. This updates BOTH the canvas AND knowledge base automatically. Use for synthesis, insights, and key findings.
+- refresh_canvas: Rebuild the entire canvas when topic shifts significantly.
+- mermaid_visualize: Create a Mermaid diagram and display it on the shared canvas. Use for flowcharts, sequence diagrams, mind maps, or any visual representation.
+- read_file_section: Read a range of chunks from an uploaded file. Use it when the snippets above are not enough (e.g. "summarize section 3", "what does the appendix say").
+- search_knowledge: Run another semantic search over the knowledge base with your own query.
+- create_knowledge_entry: Save a fact or finding to the knowledge base without putting it on the canvas.
+- render_visualization: Show a chart, table, SVG or HTML view privately to the user who asked.
+
+WHEN TO USE read_file_section and search_knowledge:
+- When the question concerns a specific part of a large file that the RELEVANT KNOWLEDGE does not cover
+- When you need the full text around a snippet before quoting requirement IDs or numbers
+- Prefer reading a few chunks at a time over whole files
 
 WHEN TO USE contribute:
 - When you have a clear insight or concept to share
@@ -640,9 +805,11 @@ MERMAID EXAMPLES:
 - Flowchart: \`\`\`mermaid\ngraph TD;\n  A[Start] --> B{Decision};\n  B -->|Yes| C[Action];\n  B -->|No| D[End];\n\`\`\`
 - Sequence: \`\`\`mermaid\nsequenceDiagram;\n  participant A;\n  participant B;\n  A->>B: Message;\n\`\`\`
 
-EXAMPLES of good contribute calls:
-- contribute("insight", "PM vs Dev Priority Conflict", "PRD requires 5-min updates (FR-1) but API doc shows 84.7% capacity utilization...", 10, ["conflict", "PM", "developer", "priority"])
-- contribute("synthesis", "Budget Tension Analysis", "PM budgets $180K but dev flags $25-100K additional API costs...", 9, ["budget", "conflict", "cost"])
+EXAMPLES of good contribute arguments:
+- type "insight", title "PM vs Dev Priority Conflict", content "PRD requires 5-min updates (FR-1) but API doc shows 84.7% capacity utilization...", importance 10, tags ["conflict", "PM", "developer", "priority"]
+- type "synthesis", title "Budget Tension Analysis", content "PM budgets $180K but dev flags $25-100K additional API costs...", importance 9, tags ["budget", "conflict", "cost"]
+
+After your tool calls complete you will see their results - then give the user your final answer.
 
 ADDITIONAL INSTRUCTIONS:
 1. The canvas represents YOUR UNDERSTANDING of what users are discussing - NOT a generic template
@@ -651,65 +818,239 @@ ADDITIONAL INSTRUCTIONS:
 4. USE the contribute tool liberally for synthesis insights, especially when conflicts are identified
 5. Be conversational but always grounded in the specific document content provided above`;
 
+    return { answerPrompt };
+  }
+
+  /**
+   * Agent Node: Call the model with native tools bound.
+   * Loops with the tools node until the model answers without tool calls;
+   * after MAX_ITERATIONS the model is told not to call tools any more.
+   * When the run was started with an onChunk callback, reply text is streamed to it.
+   */
+  async agentNode(state, config) {
+    const { roomId, answerPrompt, toolMessages, toolResults } = state;
+    const messages = state.messages || [];
+
     // Convert messages to proper format
     const messageHistory = messages.slice(-5).map(m => {
       const content = typeof m.content === 'string' ? m.content : m.content.toString();
       return m instanceof HumanMessage ? new HumanMessage(content) : new AIMessage(content);
     });
 
-    const response = await this.model.invoke([
+    const toolsAllowed = state.iteration < MAX_ITERATIONS;
+    const model = this.getModel(roomId).bindTools(
+      getToolSchemas(AGENT_TOOLS),
+      toolsAllowed ? {} : { tool_choice: 'none' }
+    );
+
+    const input = [
       new SystemMessage(answerPrompt),
-      ...messageHistory
-    ]);
+      ...messageHistory,
+      ...toolMessages
+    ];
 
-    let finalResponse = response.content.toString();
+    // Text the model wrote alongside earlier tool calls is part of the reply
+    const earlierText = toolMessages
+      .filter(m => m.getType() === 'ai')
+      .map(m => messageText(m.content))
+      .filter(Boolean);
+
+    const onChunk = config?.configurable?.onChunk;
+    let response;
+    if (onChunk) {
+      let streamedText = false;
+      for await (const chunk of await model.stream(input, { signal: config?.signal })) {
+        const text = messageText(chunk.content);
+        if (text) {
+          // Same paragraph break the final response uses between turns
+          if (!streamedText && earlierText.length > 0) onChunk('\n\n');
+          streamedText = true;
+          onChunk(text);
+        }
+        response = response ? response.concat(chunk) : chunk;
+      }
+      response = response || new AIMessage('');
+    } else {
+      response = await model.invoke(input, { signal: config?.signal });
+    }
+
+    const toolCalls = toolsAllowed ? (response.tool_calls || []) : [];
+    if (toolCalls.length > 0) {
+      return {
+        toolMessages: [response],
+        pendingToolCalls: toolCalls,
+        iteration: state.iteration + 1
+      };
+    }
+
+    let finalResponse = [...earlierText, messageText(response.content)].filter(Boolean).join('\n\n');
 
-    // Execute any tool calls in the response
-    const toolResults = await this.executeToolCalls(finalResponse, state);
-    
     // If tools were executed, include results in response
-    if (toolResults.length > 0) {
-      finalResponse += '\n\n[Tools executed: ' + toolResults.map(r => r.tool).join(', ') + ']';
+    const succeeded = toolResults.filter(r => r.success);
+    if (succeeded.length > 0) {
+      finalResponse += '\n\n[Tools executed: ' + succeeded.map(r => r.tool).join(', ') + ']';
     }
 
     return {
-      ...state,
       finalResponse,
-      toolResults
+      pendingToolCalls: [],
+      iteration: state.iteration + 1
     };
   }
 
   /**
-   * Register a room
+   * Tools Node: Execute the model's structured tool calls and feed results back
+   * Stops before the next side effect once the request is cancelled
    */
-  registerRoom(roomId, adminUserId, metadata = {}) {
-    const canvasState = new CanvasState(roomId, this.io);
-    
+  async toolsNode(state, config) {
+    const toolMessages = [];
+    const toolResults = [];
+
+    for (const toolCall of state.pendingToolCalls) {
+      config?.signal?.throwIfAborted();
+      const result = await this.executeToolCall(toolCall, { ...state, signal: config?.signal });
+      toolResults.push({ tool: toolCall.name, success: !result.error, error: result.error });
+      toolMessages.push(new ToolMessage({
+        tool_call_id: toolCall.id,
+        name: toolCall.name,
+        content: JSON.stringify(result)
+      }));
+    }
+
+    return {
+      toolMessages,
+      toolResults,
+      pendingToolCalls: []
+    };
+  }
+
+  /**
+   * Make a room available on this instance. The first instance to need it
+   * creates its shared state in Redis (the given admin starts as admin);
+   * the others load it. Returns { created: true } for a newly started room.
+   */
+  async loadRoom(roomId, adminUserId, metadata = {}) {
+    if (this.roomStates.has(roomId)) return { created: false };
+
+    let created = false;
+    const stored = await this.redisClient.withRoomLock(roomId, async () => {
+      const existing = await this.redisClient.getRoomState(roomId);
+      if (existing) return existing;
+
+      // Rooms may be created with their own provider (must be allowed for this deployment)
+      const llmProvider = getRoomProviders().includes(metadata.llmProvider)
+        ? metadata.llmProvider
+        : getDefaultProvider();
+
+      const state = {
+        ...metadata,
+        adminUserId,
+        adminSource: ADMIN_SOURCES.OWNER,
+        createdAt: Date.now(),
+        settings: {
+          groupChatEnabled: false,
+          agentReplies: 'all',
+          keepAliveUntil: null,
+          llmProvider
+        }
+      };
+      await this.redisClient.saveRoomState(roomId, state);
+      created = true;
+      return state;
+    });
+
+    const model = this.modelFor(stored.settings.llmProvider, roomId);
+    const canvasState = new CanvasState(roomId, this.io, this.redisClient);
+    await canvasState.load();
+
+    // Another join on this instance got here first
+    if (this.roomStates.has(roomId)) return { created };
+
     // Initialize memory manager for this room
-    const memoryManager = new MemoryManager(roomId, this.model, this.io);
-    
+    const memoryManager = new MemoryManager(roomId, model, this.io);
+
     this.roomStates.set(roomId, {
-      ...metadata,
-      adminUserId,
-      createdAt: Date.now(),
-      settings: {
-        groupChatEnabled: false
-      },
+      ...stored,
+      model,
       canvasState,
       memoryManager
     });
 
-    console.log(`LangGraphAgent: room registered ${roomId}, admin: ${adminUserId}`);
+    console.log(`LangGraphAgent: room ${created ? 'registered' : 'loaded'} ${roomId}, admin: ${stored.adminUserId}`);
+    return { created };
   }
 
   /**
    * Unregister a room
    */
   unregisterRoom(roomId) {
+    clearTimeout(this.roomStates.get(roomId)?.refreshTimeout);
     this.roomStates.delete(roomId);
     console.log(`LangGraphAgent: room unregistered ${roomId}`);
   }
 
+  /**
+   * Refresh this instance's copy of a room from Redis (dropped if the room is gone)
+   */
+  async syncRoom(roomId) {
+    const room = this.roomStates.get(roomId);
+    if (!room) return;
+
+    const stored = await this.redisClient.getRoomState(roomId);
+    if (!stored) {
+      this.unregisterRoom(roomId);
+      return;
+    }
+
+    this.applyStoredState(roomId, room, stored);
+    await room.canvasState.load();
+  }
+
+  applyStoredState(roomId, room, stored) {
+    if (stored.settings.llmProvider !== room.settings.llmProvider) {
+      room.model = this.modelFor(stored.settings.llmProvider, roomId);
+      room.memoryManager.model = room.model;
+    }
+    room.adminUserId = stored.adminUserId;
+    room.adminSource = stored.adminSource;
+    room.settings = stored.settings;
+  }
+
+  /**
+   * Change a room's shared state under the room lock: change(state) edits
+   * the latest stored state and returns the method's result ({ error }
+   * leaves the state as it was). Other instances are told to refresh.
+   */
+  async updateRoom(roomId, change) {
+    const room = this.roomStates.get(roomId);
+    if (!room) return { error: 'Room not found' };
+
+    const result = await this.redisClient.withRoomLock(roomId, async () => {
+      const stored = await this.redisClient.getRoomState(roomId);
+      if (!stored) return { error: 'Room not found' };
+
+      const changeResult = change(stored);
+      if (changeResult.error) return changeResult;
+
+      await this.redisClient.saveRoomState(roomId, stored);
+      this.applyStoredState(roomId, room, stored);
+      return changeResult;
+    });
+
+    if (!result.error) {
+      this.io.serverSideEmit(ROOM_STATE_CHANGED, roomId);
+    }
+    return result;
+  }
+
+  /**
+   * Chat model serving a room; its calls are counted against the space's LLM quota
+   */
+  modelFor(provider, roomId) {
+    const callbacks = this.rateLimiter ? [this.rateLimiter.usageHandler(roomId)] : [];
+    return createChatModel(provider, { callbacks });
+  }
+
   /**
    * Get room state
    */
@@ -732,49 +1073,101 @@ ADDITIONAL INSTRUCTIONS:
   }
 
   /**
-   * Set group chat
+   * Current admin of a room and how they got the role (see ADMIN_SOURCES)
    */
-  setGroupChat(roomId, userId, enabled) {
+  getAdmin(roomId) {
     const room = this.roomStates.get(roomId);
-    if (!room) return { error: 'Room not found' };
-    if (room.adminUserId !== userId) return { error: 'Only admin can change settings' };
+    if (!room) return null;
+    return { userId: room.adminUserId, source: room.adminSource };
+  }
+
+  /**
+   * Hand a room's admin rights to another user. With expectedAdminUserId the
+   * change only happens if that user is still admin - the caller decided on
+   * a view another instance may have changed meanwhile.
+   */
+  async setAdmin(roomId, userId, source, expectedAdminUserId = undefined) {
+    return this.updateRoom(roomId, (state) => {
+      if (expectedAdminUserId !== undefined && state.adminUserId !== expectedAdminUserId) {
+        return { error: 'Admin was changed meanwhile' };
+      }
 
-    room.settings.groupChatEnabled = enabled;
-    console.log(`LangGraphAgent: room ${roomId} groupChat=${enabled}`);
-    return { success: true, groupChatEnabled: enabled };
+      const previousAdminUserId = state.adminUserId;
+      state.adminUserId = userId;
+      state.adminSource = source;
+
+      console.log(`LangGraphAgent: room ${roomId} admin ${previousAdminUserId} -> ${userId} (${source})`);
+      return { success: true, previousAdminUserId };
+    });
+  }
+
+  /**
+   * Change room settings ({ groupChatEnabled?, agentReplies?, keepAliveUntil?,
+   * llmProvider? }): every field is checked first, then all are saved in one
+   * update, so a bad field changes nothing
+   */
+  async updateSettings(roomId, userId, changes) {
+    const { groupChatEnabled, agentReplies, keepAliveUntil, llmProvider } = changes;
+
+    if (groupChatEnabled !== undefined && typeof groupChatEnabled !== 'boolean') {
+      return { error: 'groupChatEnabled must be true or false' };
+    }
+    // When the agent answers in group chat (see AGENT_REPLY_MODES)
+    if (agentReplies !== undefined && !AGENT_REPLY_MODES.includes(agentReplies)) {
+      return { error: `agentReplies must be one of: ${AGENT_REPLY_MODES.join(', ')}` };
+    }
+    // Keep the room alive until a time (ms timestamp) even if everyone leaves; null clears it
+    if (keepAliveUntil !== undefined && keepAliveUntil !== null
+      && !(Number.isFinite(keepAliveUntil) && keepAliveUntil > Date.now())) {
+      return { error: 'keepAliveUntil must be a future timestamp or null' };
+    }
+    if (llmProvider !== undefined) {
+      if (!getRoomProviders().includes(llmProvider)) {
+        return { error: `LLM provider "${llmProvider}" is not enabled for this deployment` };
+      }
+      // Fail before touching the room if this provider cannot be set up
+      try {
+        this.modelFor(llmProvider, roomId);
+      } catch (error) {
+        return { error: error.message };
+      }
+    }
+
+    const settings = Object.fromEntries(
+      Object.entries({ groupChatEnabled, agentReplies, keepAliveUntil, llmProvider }).filter(([, value]) => value !== undefined)
+    );
+    if (Object.keys(settings).length === 0) return { error: 'No settings to change' };
+
+    return this.updateRoom(roomId, (state) => {
+      if (state.adminUserId !== userId) return { error: 'Only admin can change settings' };
+
+      Object.assign(state.settings, settings);
+      console.log(`LangGraphAgent: room ${roomId} settings`, settings);
+      return { success: true, settings: state.settings };
+    });
+  }
+
+  /**
+   * List LLM providers a room can switch to
+   */
+  getAvailableProviders() {
+    return getRoomProviders();
   }
 
   /**
    * Handle incoming message
+   * options.onChunk(text) receives the reply as it is generated;
+   * options.onQueued(position) hears about waiting for the room's turn (only
+   * a run that redraws the canvas waits);
+   * options.signal cancels the run (resolves to { cancelled: true }); a
+   * failed run resolves to { error: true } with the error as its content
    */
-  async handleMessage(roomId, userId, userName, socketId, content, conversationHistory = []) {
+  async handleMessage(roomId, userId, userName, socketId, content, conversationHistory = [], options = {}) {
+    let knowledgeEntries = [];
     try {
       // Get room state
       const roomState = this.roomStates.get(roomId);
       const memoryManager = roomState?.memoryManager;
-      
-      // Create knowledge entry from user's message
-      const knowledgeEntry = await this.vectorDB.createKnowledgeEntry(
-        roomId,
-        userId,
-        `User: ${content.slice(0, 50)}${content.length > 50 ? '...' : ''}`,
-        content,
-        ['user-input'],
-        []
-      );
-      
-      // Also add to memory manager
-      if (memoryManager) {
-        await memoryManager.addEntry({
-          userId,
-          userName,
-          topic: `User Input: ${content.slice(0, 50)}${content.length > 50 ? '...' : ''}`,
-          content,
-          tags: ['user-input', 'message'],
-          type: 'knowledge',
-          importance: 5
-        });
-      }
 
       // Build message history
       const messages = [
@@ -786,7 +1179,19 @@ ADDITIONAL INSTRUCTIONS:
         new HumanMessage(content)
       ];
 
-      // Run the graph
+      options.signal?.throwIfAborted();
+
+      // The message becomes room knowledge only once it runs (a canvas
+      // refresh in this run reads it); a run that does not finish takes it back
+      knowledgeEntries = await this.vectorDB.createKnowledgeEntry(
+        roomId,
+        userId,
+        `User: ${content.slice(0, 50)}${content.length > 50 ? '...' : ''}`,
+        content,
+        ['user-input'],
+        []
+      );
+
       const result = await this.graph.invoke({
         messages,
         roomId,
@@ -796,8 +1201,24 @@ ADDITIONAL INSTRUCTIONS:
         iteration: 0,
         canvasNeedsRefresh: false,
         knowledgeEntries: []
+      }, {
+        signal: options.signal,
+        configurable: { onChunk: options.onChunk, onQueued: options.onQueued }
       });
 
+      // Also add to memory manager (no taking back there, so only once answered)
+      if (memoryManager) {
+        await memoryManager.addEntry({
+          userId,
+          userName,
+          topic: `User Input: ${content.slice(0, 50)}${content.length > 50 ? '...' : ''}`,
+          content,
+          tags: ['user-input', 'message'],
+          type: 'knowledge',
+          importance: 5
+        });
+      }
+
       // Get updated canvas for UI
       const knowledgeUpdate = this.buildKnowledgeTreeFromCanvas(
         roomState?.canvasState?.get()
@@ -808,8 +1229,18 @@ ADDITIONAL INSTRUCTIONS:
         knowledgeUpdate
       };
     } catch (error) {
+      // Cancelled or failed: the message is not kept (sending it again runs it again)
+      for (const entry of knowledgeEntries) {
+        await this.vectorDB.deleteKnowledgeEntry(roomId, entry.id)
+          .catch(deleteError => console.error('LangGraphAgent: failed to remove knowledge entry:', deleteError.message));
+      }
+      if (options.signal?.aborted) {
+        console.log(`LangGraphAgent: request from ${userName} in room ${roomId} cancelled`);
+        return { cancelled: true, content: null, knowledgeUpdate: null };
+      }
       console.error('LangGraphAgent error:', error);
       return {
+        error: true,
         content: `I encountered an error: ${error.message}`,
         knowledgeUpdate: null
       };
@@ -817,57 +1248,71 @@ ADDITIONAL INSTRUCTIONS:
   }
 
   /**
-   * Execute tool calls found in the model's response
-   * Parses tool calls in format: tool_name({ json_args })
+   * Execute a single structured tool call from the model
+   * Returns a JSON-serializable result that is fed back to the model
    */
-  async executeToolCalls(response, state) {
-    const { roomId, userId, userName, socketId } = state;
-    const results = [];
-    
-    // Find tool calls in the response
-    // Match patterns like: contribute({ ... }) or mermaid_visualize({ ... })
-    const toolCallRegex = /(\w+)\s*\(\s*(\{[\s\S]*?\})\s*\)/g;
-    let match;
-    
-    while ((match = toolCallRegex.exec(response)) !== null) {
-      const toolName = match[1];
-      const argsJson = match[2];
-      
-      // Only process known tools
-      if (!['contribute', 'refresh_canvas', 'mermaid_visualize'].includes(toolName)) {
-        continue;
-      }
-      
-      try {
-        const args = JSON.parse(argsJson);
-        
-        console.log(`LangGraphAgent: executing tool ${toolName} with args:`, args);
-        
-        switch (toolName) {
-          case 'contribute':
-            await this.executeContributeTool(args, { roomId, userId, userName, socketId });
-            results.push({ tool: toolName, success: true });
-            break;
-            
-          case 'refresh_canvas':
-            await this.queueCanvasRefresh(roomId);
-            results.push({ tool: toolName, success: true });
-            break;
-            
-          case 'mermaid_visualize':
-            await this.executeMermaidTool(args, { roomId, userId, userName, socketId });
-            results.push({ tool: toolName, success: true });
-            break;
+  async executeToolCall(toolCall, state) {
+    const { roomId, userId, userName, socketId, signal } = state;
+    const { name, args = {} } = toolCall;
+
+    console.log(`LangGraphAgent: executing tool ${name} with args:`, args);
+
+    try {
+      switch (name) {
+        case TOOLS.CONTRIBUTE:
+          await this.executeContributeTool(args, { roomId, userId, userName, socketId, signal });
+          return { success: true, message: `Contributed "${args.title}" to canvas and knowledge base` };
+
+        case TOOLS.REFRESH_CANVAS:
+          await this.queueCanvasRefresh(roomId);
+          return { success: true, message: 'Canvas refresh queued' };
+
+        case TOOLS.MERMAID_VISUALIZE:
+          await this.executeMermaidTool(args, { roomId, userId, userName, socketId });
+          return { success: true, message: 'Diagram posted to the shared canvas' };
+
+        case TOOLS.CREATE_KNOWLEDGE_ENTRY: {
+          const result = await this.toolExecutor.execute(name, args, { roomId, userId, userName, socketId });
+          // Keep the meeting memory (used for exports) in sync with the knowledge base
+          const memoryManager = this.roomStates.get(roomId)?.memoryManager;
+          if (result.success && memoryManager) {
+            await memoryManager.addEntry({
+              userId,
+              userName,
+              topic: args.topic,
+              content: args.content,
+              tags: args.tags || [],
+              type: 'knowledge',
+              importance: 5
+            });
+          }
+          return result;
         }
-      } catch (error) {
-        console.error(`LangGraphAgent: tool ${toolName} failed:`, error);
-        results.push({ tool: toolName, success: false, error: error.message });
+
+        case TOOLS.READ_FILE_SECTION:
+        case TOOLS.SEARCH_KNOWLEDGE:
+        case TOOLS.RENDER_VISUALIZATION:
+          return await this.toolExecutor.execute(name, args, { roomId, userId, userName, socketId });
+
+        default:
+          return { error: `Unknown tool: ${name}` };
       }
+    } catch (error) {
+      console.error(`LangGraphAgent: tool ${name} failed:`, error);
+      return { error: error.message };
     }
-    
-    return results;
   }
   
+  /**
+   * Visualization callback for the tool executor - private to the requesting user
+   */
+  async handleVisualization(context, visualization) {
+    const { socketId } = context;
+    // Background runs (e.g. queued canvas refresh) have no user to show it to
+    if (!socketId) return;
+    this.io.to(socketId).emit('visualization:render', visualization);
+  }
+
   /**
    * Detect if a contribution should be enriched with retrieved context
    */
@@ -889,7 +1334,7 @@ ADDITIONAL INSTRUCTIONS:
    * Now with retrieval enrichment for synthesis-type contributions
    */
   async executeContributeTool(args, context) {
-    const { roomId, userId, userName } = context;
+    const { roomId, userId, userName, signal } = context;
     const { type, title, content, importance = 5, tags = [] } = args;
     
     if (!type || !title || !content) {
@@ -933,9 +1378,9 @@ INSTRUCTIONS:
 
 Output the enhanced content only:`;
 
-          const response = await this.model.invoke([
+          const response = await this.getModel(roomId).invoke([
             new SystemMessage(enrichmentPrompt)
-          ]);
+          ], { signal });
           
           enhancedContent = response.content.toString();
           console.log(`LangGraphAgent: Enriched contribution with ${relevantKnowledge.length} sources`);
@@ -946,6 +1391,9 @@ Output the enhanced content only:`;
         enhancedContent = content;
       }
     }
+
+    // Enrichment can take a while - do not publish for a cancelled request
+    signal?.throwIfAborted();
     
     // Add to knowledge base with enhanced content
     await this.vectorDB.createKnowledgeEntry(
@@ -971,9 +1419,9 @@ Output the enhanced content only:`;
       });
     }
     
-    // Add to canvas via socket
+    // Add to the canvas; the room gets it as a canvas:patch
     const contribution = {
-      id: `contrib-${Date.now()}`,
+      id: uuidv4(),
       type,
       title,
       content: enhancedContent,
@@ -981,10 +1429,10 @@ Output the enhanced content only:`;
       userName: userName || 'Agent',
       timestamp: Date.now(),
       tags,
-      sources: sources.length > 0 ? sources : undefined
+      ...(sources.length > 0 && { sources })
     };
     
-    this.io.to(roomId).emit('canvas:update', { contribution });
+    await roomState?.canvasState?.addContribution(contribution, { type: 'contribute', topic: title, userId, userName });
     console.log(`LangGraphAgent: contributed "${title}" to canvas and memory${sources.length > 0 ? ` (enriched with ${sources.length} sources)` : ''}`);
   }
   
@@ -1019,9 +1467,9 @@ Output the enhanced content only:`;
       });
     }
     
-    // Add to canvas via socket
+    // Add to the canvas; the room gets it as a canvas:patch
     const contribution = {
-      id: `diagram-${Date.now()}`,
+      id: uuidv4(),
       type: 'DIAGRAM',
       title: 'Mermaid Diagram',
       content: formattedCode,
@@ -1031,7 +1479,7 @@ Output the enhanced content only:`;
       tags: ['diagram', 'mermaid']
     };
     
-    this.io.to(roomId).emit('canvas:update', { contribution });
+    await roomState?.canvasState?.addContribution(contribution, { type: 'contribute', topic: contribution.title, userId, userName });
     console.log(`LangGraphAgent: posted mermaid diagram to canvas and memory`);
   }
 
@@ -1071,7 +1519,7 @@ Output the enhanced content only:`;
       const fileInfo = await this.fileStorage.saveFile(roomId, fileName, fileType, content);
       
       // Get chunks
-      const chunks = this.fileStorage.getAllChunks(roomId).filter(c => c.fileId === fileInfo.fileId);
+      const chunks = (await this.fileStorage.getAllChunks(roomId)).filter(c => c.fileId === fileInfo.fileId);
       
       // Sample chunks for LLM analysis
       const sampleChunks = chunks.slice(0, Math.min(5, chunks.length));
@@ -1097,7 +1545,7 @@ Respond as JSON:
 
       let extractedTopics = [];
       try {
-        const topicResponse = await this.model.invoke([
+        const topicResponse = await this.getModel(roomId).invoke([
           new SystemMessage(topicExtractionPrompt)
         ]);
         
@@ -1183,18 +1631,10 @@ Respond as JSON:
       clearTimeout(roomState.refreshTimeout);
     }
 
+    // Only the redraw - not a graph run - in the room's turn (see refreshCanvasNode)
     roomState.refreshTimeout = setTimeout(async () => {
       try {
-        await this.graph.invoke({
-          messages: [new HumanMessage('Please refresh the canvas')],
-          roomId,
-          userId: 'system',
-          userName: 'System',
-          socketId: null,
-          iteration: 0,
-          canvasNeedsRefresh: true,
-          knowledgeEntries: []
-        });
+        await this.refreshCanvasNode({ roomId, userId: 'system', userName: 'System' });
       } catch (error) {
         console.error('Canvas refresh error:', error);
       }
@@ -1214,13 +1654,16 @@ Respond as JSON:
     md += `*Room: ${roomId}*\n`;
     md += `*Exported: ${new Date().toLocaleString()}*\n\n`;
     
-    // Add comprehensive memory export if available
+    // Add comprehensive memory export if available; the canvas (with the
+    // agent's contributions) is shared by all instances, memory is not
     if (roomState.memoryManager) {
       md += roomState.memoryManager.exportToMarkdown();
-    } else if (roomState.canvasState) {
-      // Fallback to canvas-only export
+    }
+    if (roomState.canvasState) {
+      await roomState.canvasState.load();
+      if (roomState.memoryManager) md += `---\n\n`;
       md += roomState.canvasState.exportToMarkdown();
-    } else {
+    } else if (!roomState.memoryManager) {
       md += '# No data available';
     }
     
@@ -1228,15 +1671,25 @@ Respond as JSON:
   }
 
   /**
-   * Handle topic expansion (when user clicks on canvas item)
+   * Handle topic expansion (when user clicks on canvas item).
+   * The topic is the node as it is on the canvas, not what the client sent.
    */
-  async handleTopicExpansion(roomId, userId, userName, socketId, topicPath, topicTitle, topicContent) {
+  async handleTopicExpansion(roomId, userId, userName, socketId, nodeId, options = {}) {
+    let turn;
     try {
-      console.log(`LangGraphAgent: expanding topic "${topicTitle}" for room ${roomId}`);
+      turn = await this.workQueue.acquire(roomId, { signal: options.signal, onQueued: options.onQueued });
 
-      // Get current canvas for context
+      // Expand the node as the previous turn left it
       const roomState = this.roomStates.get(roomId);
+      await roomState?.canvasState?.load();
       const currentCanvas = roomState?.canvasState?.get();
+      const found = findNode(currentCanvas?.hierarchy, nodeId);
+      if (!found) {
+        return { error: 'That node is no longer on the canvas' };
+      }
+      const { title: topicTitle, content: topicContent } = found.node;
+      const topicPath = found.titles;
+      console.log(`LangGraphAgent: expanding topic "${topicTitle}" for room ${roomId}`);
 
       // Get relevant knowledge about this topic (increased limit for better coverage)
       const relevantKnowledge = await this.vectorDB.searchKnowledge(roomId, topicTitle, 8);
@@ -1264,10 +1717,10 @@ Respond with:
 1. A rich explanation of the topic
 2. Suggested sub-topics that could be added to the canvas`;
 
-      const response = await this.model.invoke([
+      const response = await this.getModel(roomId).invoke([
         new SystemMessage(expansionPrompt),
         new HumanMessage(`Please expand on "${topicTitle}".`)
-      ]);
+      ], { signal: options.signal });
 
       const expansionContent = response.content.toString();
 
@@ -1289,8 +1742,9 @@ Respond with:
       };
 
       // Update the canvas with expansion
+      options.signal?.throwIfAborted();
       if (roomState?.canvasState) {
-        await this.addExpansionToCanvas(roomId, topicPath, expansion);
+        await this.addExpansionToCanvas(roomId, nodeId, expansion, { userId, userName });
       }
 
       return {
@@ -1298,67 +1752,62 @@ Respond with:
         expansion
       };
     } catch (error) {
+      if (options.signal?.aborted) {
+        return { cancelled: true, content: null, expansion: null };
+      }
       console.error('LangGraphAgent: error in handleTopicExpansion:', error);
       return {
         content: `I encountered an error expanding this topic: ${error.message}`,
         expansion: null
       };
+    } finally {
+      await turn?.release();
     }
   }
 
   /**
    * Add expansion to canvas
    */
-  async addExpansionToCanvas(roomId, topicPath, expansion) {
+  async addExpansionToCanvas(roomId, nodeId, expansion, by = {}) {
     const roomState = this.roomStates.get(roomId);
     if (!roomState?.canvasState) return;
 
-    const canvas = roomState.canvasState.get();
-    
-    // Navigate to the topic and add children
-    let current = canvas.hierarchy;
-    let target = null;
-
-    // Find the target node
-    for (let i = 0; i < topicPath.length; i++) {
-      const index = topicPath[i];
-      if (i === topicPath.length - 1) {
-        target = current[index];
-      } else {
-        current = current[index]?.children || [];
-      }
-    }
+    await roomState.canvasState.mutate((canvas) => {
+      // The node may have been removed by a refresh since the request
+      const target = findNode(canvas.hierarchy, nodeId)?.node;
+      if (!target) return false;
 
-    if (target) {
       // Add expanded content and sub-topics
       target.expandedContent = expansion.expandedContent;
       if (!target.children) target.children = [];
-      
+
       // Add new sub-topics
       for (const subTopic of expansion.subTopics) {
         if (!target.children.find(c => c.title === subTopic.title)) {
           target.children.push(subTopic);
         }
       }
-
-      // Update canvas
-      await roomState.canvasState.update({
-        centralIdea: canvas.centralIdea,
-        hierarchy: canvas.hierarchy
-      });
-    }
+    }, { type: 'expand', nodeId, topic: expansion.title, ...by });
   }
 
   /**
-   * Handle diagram generation request for a specific topic
+   * Handle diagram generation request for a specific topic (the node as it
+   * is on the canvas)
    */
-  async handleDiagramGeneration(roomId, userId, userName, socketId, topicPath, topicTitle, topicContent) {
+  async handleDiagramGeneration(roomId, userId, userName, socketId, nodeId, options = {}) {
+    let turn;
     try {
-      console.log(`LangGraphAgent: generating diagram for "${topicTitle}" in room ${roomId}`);
+      turn = await this.workQueue.acquire(roomId, { signal: options.signal, onQueued: options.onQueued });
 
-      // Get current canvas for context
+      // Draw the node as the previous turn left it
       const roomState = this.roomStates.get(roomId);
-      const currentCanvas = roomState?.canvasState?.get();
+      await roomState?.canvasState?.load();
+      const found = findNode(roomState?.canvasState?.get()?.hierarchy, nodeId);
+      if (!found) {
+        return { error: 'That node is no longer on the canvas' };
+      }
+      const { title: topicTitle, content: topicContent } = found.node;
+      console.log(`LangGraphAgent: generating diagram for "${topicTitle}" in room ${roomId}`);
 
       // Get relevant knowledge about this topic (increased limit for better diagram content)
       const relevantKnowledge = await this.vectorDB.searchKnowledge(roomId, topicTitle, 8);
@@ -1433,10 +1882,10 @@ Your task:
 
 Now create a Mermaid diagram for: "${topicTitle}"`;
 
-      const response = await this.model.invoke([
+      const response = await this.getModel(roomId).invoke([
         new SystemMessage(diagramPrompt),
         new HumanMessage(`Please create a diagram for "${topicTitle}".`)
-      ]);
+      ], { signal: options.signal });
 
       let responseContent = response.content.toString();
 
@@ -1497,9 +1946,9 @@ graph TD;
 
 Output ONLY the valid mermaid code block:`;
 
-        const retryResponse = await this.model.invoke([
+        const retryResponse = await this.getModel(roomId).invoke([
           new SystemMessage(retryPrompt)
-        ]);
+        ], { signal: options.signal });
         
         const retryContent = retryResponse.content.toString();
         const retryMatch = retryContent.match(/```mermaid\s*\n?([\s\S]*?)```/);
@@ -1511,7 +1960,8 @@ Output ONLY the valid mermaid code block:`;
       }
 
       // Add diagram to the canvas node
-      await this.addDiagramToCanvas(roomId, topicPath, diagramCode);
+      options.signal?.throwIfAborted();
+      await this.addDiagramToCanvas(roomId, nodeId, topicTitle, diagramCode, { userId, userName });
       
       // Also add to memory manager
       if (roomState?.memoryManager) {
@@ -1531,48 +1981,194 @@ Output ONLY the valid mermaid code block:`;
         diagram: diagramCode
       };
     } catch (error) {
+      if (options.signal?.aborted) {
+        return { cancelled: true, content: null, diagram: null };
+      }
       console.error('LangGraphAgent: error in handleDiagramGeneration:', error);
       return {
         content: `I encountered an error creating the diagram: ${error.message}`,
         diagram: null
       };
+    } finally {
+      await turn?.release();
     }
   }
 
   /**
    * Add diagram to a specific canvas node
    */
-  async addDiagramToCanvas(roomId, topicPath, diagramCode) {
+  async addDiagramToCanvas(roomId, nodeId, topicTitle, diagramCode, by = {}) {
     const roomState = this.roomStates.get(roomId);
     if (!roomState?.canvasState) return;
 
-    const canvas = roomState.canvasState.get();
-    
-    // Navigate to the topic
-    let current = canvas.hierarchy;
-    let target = null;
-
-    for (let i = 0; i < topicPath.length; i++) {
-      const index = topicPath[i];
-      if (i === topicPath.length - 1) {
-        target = current[index];
-      } else {
-        current = current[index]?.children || [];
-      }
-    }
+    await roomState.canvasState.mutate((canvas) => {
+      const target = findNode(canvas.hierarchy, nodeId)?.node;
+      if (!target) return false;
 
-    if (target) {
       // Add diagram to expanded content
       if (!target.expandedContent) {
         target.expandedContent = '';
       }
       target.expandedContent += '\n\n' + diagramCode;
+    }, { type: 'diagram', nodeId, topic: topicTitle, ...by });
+  }
 
-      // Update canvas
-      await roomState.canvasState.update({
-        centralIdea: canvas.centralIdea,
-        hierarchy: canvas.hierarchy
-      });
+  /**
+   * Change one canvas node by hand: change(canvas, found) edits the latest
+   * canvas (found is the node's place, see findNode) or returns an error
+   * message to leave it as it is. The room gets the change as a canvas:patch.
+   */
+  async changeCanvasNode(roomId, nodeId, trigger, change) {
+    const roomState = this.roomStates.get(roomId);
+    if (!roomState?.canvasState) return { error: 'Room not found' };
+
+    let error = null;
+    const canvas = await roomState.canvasState.mutate((latest) => {
+      const found = findNode(latest.hierarchy, nodeId);
+      if (!found) {
+        error = 'That node is no longer on the canvas';
+        return false;
+      }
+      trigger.topic = found.node.title;
+      error = change(latest, found) || null;
+      if (error) return false;
+    }, trigger);
+
+    if (error) return { error };
+    return { success: true, version: canvas.version };
+  }
+
+  /**
+   * Edit a node's title, content or importance. Edited nodes are kept as
+   * people left them by refreshes.
+   */
+  async editCanvasNode(roomId, nodeId, changes, userId, userName) {
+    return this.changeCanvasNode(roomId, nodeId, { type: 'edit', nodeId, userId, userName }, (canvas, { node }) => {
+      Object.assign(node, changes);
+      markEdited(node, userId, userName);
+    });
+  }
+
+  /**
+   * Delete a node and everything under it; refreshes do not bring its theme back
+   */
+  async deleteCanvasNode(roomId, nodeId, userId, userName) {
+    return this.changeCanvasNode(roomId, nodeId, { type: 'delete', nodeId, userId, userName }, (canvas, { node, siblings, index }) => {
+      siblings.splice(index, 1);
+      canvas.removedTopics = [...(canvas.removedTopics || []), node.title].slice(-MAX_REMOVED_TOPICS);
+    });
+  }
+
+  /**
+   * Move a node under another parent (null = top level) at an index
+   * (default: last). A moved node stays where it was put.
+   */
+  async moveCanvasNode(roomId, nodeId, parentId, index, userId, userName) {
+    return this.changeCanvasNode(roomId, nodeId, { type: 'move', nodeId, userId, userName }, (canvas, { node, siblings, index: from }) => {
+      if (parentId && (parentId === nodeId || findNode(node.children, parentId))) {
+        return 'A node cannot be moved under itself';
+      }
+      if (parentId && !findNode(canvas.hierarchy, parentId)) {
+        return 'The new parent is no longer on the canvas';
+      }
+      siblings.splice(from, 1);
+      insertNode(canvas.hierarchy, node, parentId, index ?? Infinity);
+      markEdited(node, userId, userName);
+    });
+  }
+
+  /**
+   * Pin a node so refreshes keep it as it is, where it is; unpinning hands
+   * it (edits included) back to the agent
+   */
+  async pinCanvasNode(roomId, nodeId, pinned, userId, userName) {
+    return this.changeCanvasNode(roomId, nodeId, { type: pinned ? 'pin' : 'unpin', nodeId, userId, userName }, (canvas, { node }) => {
+      if (pinned) {
+        node.pinned = true;
+      } else {
+        delete node.pinned;
+        delete node.editedBy;
+        delete node.editedAt;
+      }
+    });
+  }
+
+  /**
+   * A room's canvas as last saved (also refreshes this instance's copy) -
+   * for clients that missed a canvas:patch
+   */
+  async getLatestCanvas(roomId) {
+    const roomState = this.roomStates.get(roomId);
+    if (!roomState?.canvasState) return null;
+    return roomState.canvasState.load();
+  }
+
+  /**
+   * Versions kept in a room's canvas history, newest first (summaries, without the canvases)
+   */
+  async getCanvasHistory(roomId) {
+    const versions = await this.redisClient.getCanvasVersions(roomId);
+    return versions.map(({ version, timestamp, trigger, canvas }) => ({
+      version,
+      timestamp,
+      trigger,
+      centralIdea: canvas.centralIdea,
+      topicCount: (canvas.hierarchy || []).length
+    }));
+  }
+
+  /**
+   * Structural diff between two kept versions of a room's canvas
+   * (toVersion defaults to the current canvas)
+   */
+  async diffCanvasVersions(roomId, fromVersion, toVersion = null) {
+    const versions = await this.redisClient.getCanvasVersions(roomId);
+    const from = versions.find(v => v.version === fromVersion)?.canvas;
+    const to = toVersion === null
+      ? await this.redisClient.getCanvas(roomId) || CanvasState.empty()
+      : versions.find(v => v.version === toVersion)?.canvas;
+
+    if (!from) return { error: `Canvas version ${fromVersion} is not in the history` };
+    if (!to) return { error: `Canvas version ${toVersion} is not in the history` };
+
+    return {
+      success: true,
+      from: from.version,
+      to: to.version,
+      diff: diffCanvases(from, to)
+    };
+  }
+
+  /**
+   * Put a kept version back on the canvas. The restore is a new version of
+   * its own, so it can be undone the same way; it waits its turn behind
+   * agent work already queued for the room.
+   */
+  async restoreCanvasVersion(roomId, version, userId, userName) {
+    const roomState = this.roomStates.get(roomId);
+    if (!roomState?.canvasState) return { error: 'Room not found' };
+
+    let turn;
+    try {
+      turn = await this.workQueue.acquire(roomId);
+
+      const versions = await this.redisClient.getCanvasVersions(roomId);
+      const entry = versions.find(v => v.version === version);
+      if (!entry) return { error: `Canvas version ${version} is not in the history` };
+
+      const { version: _version, lastUpdated: _lastUpdated, ...content } = entry.canvas;
+      const canvas = await roomState.canvasState.mutate((current) => {
+        // Replace the content whole: what was added since (removed topics,
+        // contributions, ...) goes too
+        for (const key of Object.keys(current)) {
+          if (key !== 'version' && key !== 'lastUpdated') delete current[key];
+        }
+        Object.assign(current, structuredClone(content));
+      }, { type: 'restore', restoredVersion: version, userId, userName });
+
+      return { success: true, version, newVersion: canvas.version };
+    } finally {
+      await turn?.release();
     }
   }
 
@@ -1581,10 +2177,7 @@ Output ONLY the valid mermaid code block:`;
    */
   async handleRoomCleanup(roomId) {
     console.log(`LangGraphAgent: cleaning up room ${roomId}`);
-    
-    // Delete the persistent canvas file
-    CanvasState.deleteFromDisk(roomId);
-    
+
     // Delete all memory storage
     const roomState = this.roomStates.get(roomId);
     if (roomState?.memoryManager) {
@@ -1593,7 +2186,9 @@ Output ONLY the valid mermaid code block:`;
     
     await this.fileStorage.cleanupRoom(roomId);
     await this.vectorDB.cleanupRoom(roomId);
+    // Shared state and canvas go with the room's keys; other instances drop their copy
     await this.redisClient.cleanupRoom(roomId);
+    this.io.serverSideEmit(ROOM_STATE_CHANGED, roomId);
     console.log(`LangGraphAgent: room ${roomId} cleaned up`);
   }
 }
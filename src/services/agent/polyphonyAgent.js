@@ -161,7 +161,7 @@ export class PolyphonyAgent {
         console.log(`Agent: Using expanded retrieval (${retrievalLimit} chunks) for synthesis question: "${content.slice(0, 50)}..."`);
       }
       
-      const files = this.fileStorage.listRoomFiles(roomId);
+      const files = await this.fileStorage.listRoomFiles(roomId);
 
       // Build system prompt
       const systemPrompt = this.buildSystemPrompt(relevantKnowledge, files, roomState, userName);
@@ -273,7 +273,7 @@ export class PolyphonyAgent {
         console.log(`  -> Using large file handler (strategic sampling)`);
         
         // Get all chunks for processing
-        const chunks = this.fileStorage.getAllChunks(roomId).filter(c => c.fileId === fileInfo.fileId);
+        const chunks = (await this.fileStorage.getAllChunks(roomId)).filter(c => c.fileId === fileInfo.fileId);
         
         // Use large file handler for smart processing
         const largeFileResult = await this.largeFileHandler.processLargeFile(
@@ -327,14 +327,15 @@ The detailed content is available - users can ask specific questions and I'll re
 
       // Auto-read first N chunks
       const chunksToRead = Math.min(AUTO_READ_CHUNKS, fileInfo.chunkCount);
-      const autoReadResult = this.fileStorage.readFileSection(
+      const autoReadResult = await this.fileStorage.readFileSection(
+        roomId,
         fileInfo.fileId,
         0,
         chunksToRead - 1
       );
 
       // Create knowledge entries from chunks
-      const chunks = this.fileStorage.getAllChunks(roomId).filter(c => c.fileId === fileInfo.fileId);
+      const chunks = (await this.fileStorage.getAllChunks(roomId)).filter(c => c.fileId === fileInfo.fileId);
       
       for (const chunk of chunks.slice(0, Math.min(10, chunks.length))) {
         await this.vectorDB.createKnowledgeEntry(
@@ -517,7 +518,7 @@ You have access to these tools:
   // Generate markdown export
   async generateExport(roomId) {
     const entries = await this.vectorDB.getAllKnowledge(roomId);
-    const files = this.fileStorage.listRoomFiles(roomId);
+    const files = await this.fileStorage.listRoomFiles(roomId);
 
     const timestamp = new Date().toISOString();
     const contributors = new Set(entries.map(e => e.userId));
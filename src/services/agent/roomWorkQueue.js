@@ -0,0 +1,81 @@
+/**
+ * Per-room agent work queue
+ *
+ * Agent work that rewrites a room's shared canvas from a model's output
+ * (canvas redraws, topic expansions, diagrams, restores) takes turns, across
+ * every server instance, so those changes land one after another in the
+ * order they were asked for instead of the last write winning. A message
+ * only takes a turn for the redraw it triggers; answering it does not wait.
+ * Smaller changes (contributions, hand edits) only need the room lock that
+ * every canvas write takes.
+ *
+ * The queue is a Redis sorted set per room. Each job holds a lease that is
+ * renewed while it waits and runs; a job whose instance went away loses its
+ * lease and is dropped, so the queue never stalls behind it.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+const LEASE_MS = 30 * 1000;
+const RENEW_MS = 10 * 1000;
+const POLL_MS = 250;
+
+export class RoomWorkQueue {
+  constructor(redisClient) {
+    this.redisClient = redisClient;
+  }
+
+  /**
+   * Wait for a turn in the room's queue. onQueued(position) hears how many
+   * jobs are ahead whenever that changes (0 once a job that had to wait
+   * starts). Resolves to { release } - call it when the work is done; an
+   * aborted signal leaves the queue and rejects with the abort reason.
+   */
+  async acquire(roomId, { signal, onQueued } = {}) {
+    signal?.throwIfAborted();
+
+    const jobId = uuidv4();
+    await this.redisClient.enqueueWork(roomId, jobId, LEASE_MS);
+    const lease = setInterval(() => {
+      this.redisClient.renewWork(roomId, jobId, LEASE_MS)
+        .catch(error => console.error(`RoomWorkQueue: failed to renew job in room ${roomId}:`, error.message));
+    }, RENEW_MS);
+
+    let released = false;
+    const release = async () => {
+      if (released) return;
+      released = true;
+      clearInterval(lease);
+      try {
+        await this.redisClient.dequeueWork(roomId, jobId);
+      } catch (error) {
+        console.error(`RoomWorkQueue: failed to leave the queue of room ${roomId}:`, error.message);
+      }
+    };
+
+    try {
+      await this.waitForTurn(roomId, jobId, signal, onQueued);
+    } catch (error) {
+      await release();
+      throw error;
+    }
+    return { release };
+  }
+
+  async waitForTurn(roomId, jobId, signal, onQueued) {
+    let reported = 0;
+    for (;;) {
+      signal?.throwIfAborted();
+
+      // null: our own lease lapsed and we were dropped - go ahead rather than queue again
+      const position = await this.redisClient.getWorkPosition(roomId, jobId) || 0;
+      if (position !== reported) {
+        reported = position;
+        onQueued?.(position);
+      }
+      if (position === 0) return;
+
+      await new Promise(resolve => setTimeout(resolve, POLL_MS));
+    }
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Participant roles within a space and what each may do
+ *
+ *   owner       - the room admin (the space owner, or whoever admin was handed
+ *                 to); everything, including settings and roles
+ *   editor      - may reshape the shared canvas (expand topics, generate diagrams,
+ *                 edit, move, delete and pin nodes)
+ *   contributor - may add material (file uploads) and export
+ *   viewer      - may chat with the agent privately, nothing that changes the space
+ */
+
+export const ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  CONTRIBUTOR: 'contributor',
+  VIEWER: 'viewer'
+};
+
+// Roles an owner can hand out with room:set_role or put on an invite token
+export const ASSIGNABLE_ROLES = [ROLES.EDITOR, ROLES.CONTRIBUTOR, ROLES.VIEWER];
+
+export const DEFAULT_ROLE = ROLES.CONTRIBUTOR;
+
+// Actions are named after the socket events that perform them
+export const PERMISSIONS = {
+  'file:upload': [ROLES.OWNER, ROLES.EDITOR, ROLES.CONTRIBUTOR],
+  'export:request': [ROLES.OWNER, ROLES.EDITOR, ROLES.CONTRIBUTOR],
+  'canvas:expand_topic': [ROLES.OWNER, ROLES.EDITOR],
+  'canvas:generate_diagram': [ROLES.OWNER, ROLES.EDITOR],
+  'canvas:edit_node': [ROLES.OWNER, ROLES.EDITOR],
+  'canvas:delete_node': [ROLES.OWNER, ROLES.EDITOR],
+  'canvas:move_node': [ROLES.OWNER, ROLES.EDITOR],
+  'canvas:pin_node': [ROLES.OWNER, ROLES.EDITOR],
+  'canvas:restore': [ROLES.OWNER],
+  'settings:set': [ROLES.OWNER],
+  'room:set_role': [ROLES.OWNER],
+  'room:transfer_admin': [ROLES.OWNER]
+};
+
+export function can(role, action) {
+  return PERMISSIONS[action]?.includes(role) || false;
+}
+
+// Every action a role may perform (sent to clients so they can hide what they cannot use)
+export function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter(action => can(role, action));
+}
@@ -0,0 +1,85 @@
+/**
+ * Signed space tokens
+ *
+ * Tokens are `<base64url payload>.<base64url HMAC-SHA256>` and carry:
+ *   typ     - 'admin' (space owner), 'invite' (shareable join link) or 'user' (identity of one participant)
+ *   spaceId - the only space the token is valid for
+ *   sub     - user id the token is bound to (admin and user tokens)
+ *   role    - role granted to first-time joiners (invite tokens, optional)
+ *   iat/exp - issued-at / expiry in ms (exp omitted = valid while the space exists)
+ *
+ * The admin token is bound to the owner's user id, so admin rights follow the
+ * token rather than whoever joins first.
+ */
+
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+export const TOKEN_TYPES = {
+  ADMIN: 'admin',
+  INVITE: 'invite',
+  USER: 'user'
+};
+
+export class TokenService {
+  constructor(secret = process.env.SPACE_TOKEN_SECRET) {
+    if (!secret) {
+      console.warn('TokenService: SPACE_TOKEN_SECRET not set - using a random secret, tokens will not survive a restart');
+      secret = crypto.randomBytes(32).toString('hex');
+    }
+    this.secret = secret;
+  }
+
+  sign(payload) {
+    const body = Buffer.from(JSON.stringify({ ...payload, iat: Date.now() })).toString('base64url');
+    return `${body}.${this.signature(body)}`;
+  }
+
+  /**
+   * Verify a token; returns its payload, or null if malformed, forged or expired
+   */
+  verify(token) {
+    if (typeof token !== 'string') return null;
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(this.signature(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf-8'));
+    } catch {
+      return null;
+    }
+
+    if (payload.exp && payload.exp < Date.now()) return null;
+    return payload;
+  }
+
+  signature(body) {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+  }
+
+  mintAdminToken(spaceId, ownerId, expiresAt = null) {
+    return this.sign({ typ: TOKEN_TYPES.ADMIN, spaceId, sub: ownerId, ...(expiresAt && { exp: expiresAt }) });
+  }
+
+  mintInviteToken(spaceId, expiresAt = null, role = null) {
+    return this.sign({
+      typ: TOKEN_TYPES.INVITE,
+      spaceId,
+      jti: uuidv4(),
+      ...(role && { role }),
+      ...(expiresAt && { exp: expiresAt })
+    });
+  }
+
+  mintUserToken(spaceId, userId, expiresAt = null) {
+    return this.sign({ typ: TOKEN_TYPES.USER, spaceId, sub: userId, ...(expiresAt && { exp: expiresAt }) });
+  }
+}
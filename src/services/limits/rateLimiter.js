@@ -0,0 +1,134 @@
+/**
+ * Rate limits and daily LLM quotas
+ *
+ * Requests that make the agent call the model (message:send,
+ * canvas:expand_topic, canvas:generate_diagram) take a token from three
+ * Redis token buckets - the user's, the room's and the client IP's - so the
+ * limits hold across server instances. Each bucket holds a minute's worth of
+ * requests and refills continuously.
+ *
+ * On top of that every space has a daily budget of LLM calls and tokens
+ * (UTC days), counted from what the models actually do: every call the agent
+ * makes for a room, tool loops and canvas refreshes included.
+ */
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Requests per minute (burst = a full minute's worth; 0 = unlimited)
+export const RATE_LIMITS = {
+  user: envInt('RATE_LIMIT_USER_PER_MINUTE', 10),
+  room: envInt('RATE_LIMIT_ROOM_PER_MINUTE', 40),
+  ip: envInt('RATE_LIMIT_IP_PER_MINUTE', 30)
+};
+
+// Deployment defaults for a space's daily LLM quota (0 = unlimited)
+const DAILY_LLM_CALLS = envInt('SPACE_DAILY_LLM_CALLS', 1000);
+const DAILY_LLM_TOKENS = envInt('SPACE_DAILY_LLM_TOKENS', 2000000);
+
+// Rough estimate when a provider reports no usage, as in ConversationHistory
+const CHARS_PER_TOKEN = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class RateLimiter {
+  constructor(redisClient, limits = RATE_LIMITS) {
+    this.redisClient = redisClient;
+    this.limits = limits;
+  }
+
+  /**
+   * Take one request from the user's, room's and IP's buckets (scopes whose
+   * limit is 0 are not limited). Returns null if allowed, otherwise
+   * { scope, retryAfterMs } - nothing is taken then.
+   */
+  async consume({ roomId, userId, ip }) {
+    const scopes = [
+      { scope: 'user', key: `ratelimit:user:${roomId}:${userId}` },
+      { scope: 'room', key: `ratelimit:room:${roomId}` },
+      { scope: 'ip', key: `ratelimit:ip:${ip}` }
+    ].filter(({ scope }) => this.limits[scope] > 0 && (scope !== 'ip' || ip));
+    if (scopes.length === 0) return null;
+
+    const { retryAfterMs, limitedBy } = await this.redisClient.takeTokens(scopes.map(({ scope, key }) => ({
+      key,
+      capacity: this.limits[scope],
+      refillPerMs: this.limits[scope] / 60000,
+      cost: 1
+    })));
+
+    if (retryAfterMs === 0) return null;
+    return { scope: scopes[limitedBy].scope, retryAfterMs };
+  }
+
+  /**
+   * Check a space still has LLM quota left today. Returns null if it has,
+   * otherwise { scope: 'quota', retryAfterMs } until the quota resets.
+   */
+  async checkQuota(space) {
+    const callLimit = space.llmCallsPerDay ?? DAILY_LLM_CALLS;
+    const tokenLimit = space.llmTokensPerDay ?? DAILY_LLM_TOKENS;
+    if (!callLimit && !tokenLimit) return null;
+
+    const { calls, tokens } = await this.redisClient.getLLMUsage(space.spaceId, this.today());
+    if ((callLimit && calls >= callLimit) || (tokenLimit && tokens >= tokenLimit)) {
+      return { scope: 'quota', retryAfterMs: DAY_MS - (Date.now() % DAY_MS) };
+    }
+    return null;
+  }
+
+  /**
+   * LangChain callback handler counting a space's model calls and tokens.
+   * Providers that report no usage are estimated from the text.
+   */
+  usageHandler(spaceId) {
+    const promptChars = new Map(); // runId -> characters sent
+
+    const record = async (tokens) => {
+      try {
+        await this.redisClient.addLLMUsage(spaceId, this.today(), 1, tokens);
+      } catch (error) {
+        console.error(`RateLimiter: failed to record LLM usage for ${spaceId}:`, error.message);
+      }
+    };
+
+    return {
+      handleChatModelStart: (llm, messages, runId) => {
+        const chars = messages.flat().reduce((sum, m) => sum + JSON.stringify(m.content ?? '').length, 0);
+        promptChars.set(runId, chars);
+      },
+      handleLLMEnd: async (output, runId) => {
+        const sent = promptChars.get(runId) || 0;
+        promptChars.delete(runId);
+        await record(this.countTokens(output, sent));
+      },
+      handleLLMError: async (error, runId) => {
+        // A failed call still counts; its tokens are unknown
+        promptChars.delete(runId);
+        await record(0);
+      }
+    };
+  }
+
+  countTokens(output, promptChars) {
+    const usage = output.llmOutput?.tokenUsage;
+    if (usage) {
+      const total = usage.total_tokens ?? usage.totalTokens
+        ?? (usage.prompt_tokens ?? usage.promptTokens ?? 0) + (usage.completion_tokens ?? usage.completionTokens ?? 0);
+      if (total) return total;
+    }
+
+    const generation = output.generations?.[0]?.[0];
+    if (generation?.message?.usage_metadata?.total_tokens) {
+      return generation.message.usage_metadata.total_tokens;
+    }
+
+    return Math.ceil((promptChars + (generation?.text || '').length) / CHARS_PER_TOKEN);
+  }
+
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * LLM provider selection for Polyphony
+ *
+ * Every provider returns a LangChain chat model, so callers only ever use
+ * model.invoke(). The deployment default comes from LLM_PROVIDER; rooms may
+ * switch to any provider listed in LLM_ROOM_PROVIDERS.
+ */
+
+import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
+import { OpenAICompatibleChatModel } from './openAICompatibleChatModel.js';
+import { OllamaChatModel } from './ollamaChatModel.js';
+import { ScriptedChatModel } from './scriptedChatModel.js';
+
+// Model configuration
+// ⚠️ DO NOT MODIFY - Model specified by user and verified from official docs
+// New models release frequently, but trust the user's explicit model choice here
+// See: https://ai.google.dev/gemini-api/docs/models
+const GEMINI_MODEL_NAME = 'gemini-3-pro-preview';
+
+export const LLM_PROVIDERS = {
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+  OLLAMA: 'ollama',
+  SCRIPTED: 'scripted'
+};
+
+const DEFAULT_TEMPERATURE = 0.3; // Lower temperature for more consistent hierarchical organization
+const DEFAULT_MAX_OUTPUT_TOKENS = 8192;
+
+/**
+ * Provider used when a room does not choose one
+ */
+export function getDefaultProvider() {
+  return (process.env.LLM_PROVIDER || LLM_PROVIDERS.GEMINI).toLowerCase();
+}
+
+/**
+ * Providers a room admin may switch to (always includes the default)
+ */
+export function getRoomProviders() {
+  const configured = (process.env.LLM_ROOM_PROVIDERS || '')
+    .split(',')
+    .map(p => p.trim().toLowerCase())
+    .filter(p => Object.values(LLM_PROVIDERS).includes(p));
+
+  return [...new Set([getDefaultProvider(), ...configured])];
+}
+
+/**
+ * Create a chat model for a provider
+ * @param {string} provider - One of LLM_PROVIDERS
+ * @param {Object} options - Optional { model, temperature, maxOutputTokens } overrides,
+ *   and LangChain callbacks run on every call
+ */
+export function createChatModel(provider = getDefaultProvider(), options = {}) {
+  const temperature = options.temperature ?? DEFAULT_TEMPERATURE;
+  const maxOutputTokens = options.maxOutputTokens ?? DEFAULT_MAX_OUTPUT_TOKENS;
+  const { callbacks } = options;
+
+  let model;
+  let modelName;
+
+  switch (provider) {
+    case LLM_PROVIDERS.GEMINI: {
+      const apiKey = process.env.GOOGLE_AI_API_KEY || process.env.GEMINI_API_KEY;
+      if (!apiKey) {
+        throw new Error('GOOGLE_AI_API_KEY or GEMINI_API_KEY required (or set LLM_PROVIDER to another provider)');
+      }
+      modelName = options.model || GEMINI_MODEL_NAME;
+      model = new ChatGoogleGenerativeAI({ model: modelName, apiKey, temperature, maxOutputTokens, callbacks });
+      break;
+    }
+
+    case LLM_PROVIDERS.OPENAI:
+      modelName = options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+      model = new OpenAICompatibleChatModel({
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY || null,
+        model: modelName,
+        temperature,
+        maxOutputTokens,
+        callbacks
+      });
+      break;
+
+    case LLM_PROVIDERS.OLLAMA:
+      modelName = options.model || process.env.OLLAMA_MODEL || 'llama3.1';
+      model = new OllamaChatModel({
+        baseUrl: process.env.OLLAMA_BASE_URL,
+        model: modelName,
+        temperature,
+        maxOutputTokens,
+        callbacks
+      });
+      break;
+
+    case LLM_PROVIDERS.SCRIPTED:
+      modelName = 'scripted';
+      model = new ScriptedChatModel({ scriptPath: process.env.LLM_SCRIPT_PATH || null, callbacks });
+      break;
+
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+
+  model.providerName = provider;
+  model.modelName = modelName;
+  return model;
+}
@@ -0,0 +1,126 @@
+/**
+ * Shared helpers for the HTTP-backed chat models
+ *
+ * LangChain messages are converted to the plain { role, content } shape
+ * understood by OpenAI-compatible and Ollama chat endpoints.
+ */
+
+const ROLE_BY_TYPE = {
+  system: 'system',
+  human: 'user',
+  ai: 'assistant',
+  tool: 'tool'
+};
+
+/**
+ * Flatten LangChain message content (string or content blocks) to text
+ */
+export function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+  }
+  return content == null ? '' : String(content);
+}
+
+/**
+ * Convert LangChain messages to OpenAI-style { role, content } objects,
+ * carrying tool calls on assistant turns and call ids on tool results
+ */
+export function toRoleMessages(messages) {
+  return messages.map(message => {
+    const formatted = {
+      role: ROLE_BY_TYPE[message.getType()] || 'user',
+      content: messageText(message.content)
+    };
+
+    if (message.tool_calls?.length) {
+      formatted.tool_calls = message.tool_calls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+      }));
+    }
+
+    if (formatted.role === 'tool') {
+      formatted.tool_call_id = message.tool_call_id;
+    }
+
+    return formatted;
+  });
+}
+
+/**
+ * Convert tools passed to bindTools() into OpenAI function-tool format
+ * Accepts OpenAI-format tools or plain { name, description, parameters } definitions
+ */
+export function toOpenAITools(tools = []) {
+  return tools.map(tool => (tool.type === 'function' && tool.function
+    ? tool
+    : {
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    }));
+}
+
+/**
+ * Parse tool-call arguments that may arrive as a JSON string or an object
+ */
+export function parseToolArguments(args) {
+  if (!args) return {};
+  if (typeof args !== 'string') return args;
+  try {
+    return JSON.parse(args);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * POST JSON to an endpoint and return the parsed body, surfacing HTTP errors
+ */
+export async function postJson(url, body, { headers = {}, signal } = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`LLM request to ${url} failed (${response.status}): ${detail.slice(0, 200)}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * POST JSON to a streaming endpoint and yield each non-empty line of the body
+ * (server-sent events and NDJSON are both line-delimited)
+ */
+export async function* postJsonLines(url, body, { headers = {}, signal } = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`LLM request to ${url} failed (${response.status}): ${detail.slice(0, 200)}`);
+  }
+
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for await (const bytes of response.body) {
+    buffered += decoder.decode(bytes, { stream: true });
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield line.trim();
+    }
+  }
+  if (buffered.trim()) yield buffered.trim();
+}
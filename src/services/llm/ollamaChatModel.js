@@ -0,0 +1,119 @@
+/**
+ * Chat model for an Ollama-style local endpoint (POST /api/chat)
+ *
+ * Lets the agent run against a model served on the same machine or
+ * inside an air-gapped network.
+ */
+
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+import { v4 as uuidv4 } from 'uuid';
+import { toRoleMessages, toOpenAITools, parseToolArguments, postJson, postJsonLines } from './messageFormat.js';
+
+export class OllamaChatModel extends BaseChatModel {
+  constructor({ baseUrl = 'http://localhost:11434', model, temperature = 0.3, maxOutputTokens = 8192, ...rest }) {
+    super(rest);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.model = model;
+    this.temperature = temperature;
+    this.maxOutputTokens = maxOutputTokens;
+  }
+
+  _llmType() {
+    return 'ollama';
+  }
+
+  /**
+   * Bind function tools (Ollama accepts the OpenAI tool format)
+   */
+  bindTools(tools, kwargs) {
+    return this.withConfig({ tools: toOpenAITools(tools), ...kwargs });
+  }
+
+  /**
+   * Ollama expects tool-call arguments as objects rather than JSON strings
+   */
+  formatMessages(messages) {
+    return toRoleMessages(messages).map(message => (message.tool_calls
+      ? {
+        ...message,
+        tool_calls: message.tool_calls.map(call => ({
+          function: { name: call.function.name, arguments: parseToolArguments(call.function.arguments) }
+        }))
+      }
+      : message));
+  }
+
+  /**
+   * Build the /api/chat request body
+   */
+  buildRequest(messages, options, stream) {
+    return {
+      model: this.model,
+      messages: this.formatMessages(messages),
+      // No tool_choice in Ollama - withholding the tools is the only way to say "none"
+      tools: options?.tools?.length && options.tool_choice !== 'none' ? options.tools : undefined,
+      stream,
+      options: {
+        temperature: this.temperature,
+        num_predict: this.maxOutputTokens
+      }
+    };
+  }
+
+  async _generate(messages, options) {
+    const body = this.buildRequest(messages, options, false);
+    const data = await postJson(`${this.baseUrl}/api/chat`, body, { signal: options?.signal });
+    const text = data.message?.content || '';
+    // Ollama does not assign call ids, so generate them to pair tool results
+    const toolCalls = (data.message?.tool_calls || []).map(call => ({
+      id: uuidv4(),
+      name: call.function.name,
+      args: parseToolArguments(call.function.arguments),
+      type: 'tool_call'
+    }));
+
+    return {
+      generations: [{
+        text,
+        message: new AIMessage({ content: text, tool_calls: toolCalls }),
+        generationInfo: { doneReason: data.done_reason }
+      }],
+      llmOutput: {
+        tokenUsage: {
+          prompt_tokens: data.prompt_eval_count,
+          completion_tokens: data.eval_count
+        }
+      }
+    };
+  }
+
+  /**
+   * Stream NDJSON chunks; Ollama sends each tool call whole, never split
+   */
+  async *_streamResponseChunks(messages, options, runManager) {
+    const body = this.buildRequest(messages, options, true);
+    const lines = postJsonLines(`${this.baseUrl}/api/chat`, body, { signal: options?.signal });
+
+    let toolCallIndex = 0;
+    for await (const line of lines) {
+      const data = JSON.parse(line);
+      const text = data.message?.content || '';
+      const toolCallChunks = (data.message?.tool_calls || []).map(call => ({
+        index: toolCallIndex++,
+        id: uuidv4(),
+        name: call.function.name,
+        args: JSON.stringify(parseToolArguments(call.function.arguments)),
+        type: 'tool_call_chunk'
+      }));
+
+      yield new ChatGenerationChunk({
+        text,
+        message: new AIMessageChunk({ content: text, tool_call_chunks: toolCallChunks })
+      });
+      if (text) await runManager?.handleLLMNewToken(text);
+      if (data.done) break;
+    }
+  }
+}
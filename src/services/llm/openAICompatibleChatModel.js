@@ -0,0 +1,121 @@
+/**
+ * Chat model for any OpenAI-compatible HTTP endpoint
+ * (OpenAI, Azure-style proxies, vLLM, LM Studio, llama.cpp server, ...)
+ *
+ * Implemented on top of LangChain's BaseChatModel so the agent can call
+ * invoke() exactly as it does with the Gemini model.
+ */
+
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+import { toRoleMessages, toOpenAITools, parseToolArguments, postJson, postJsonLines } from './messageFormat.js';
+
+export class OpenAICompatibleChatModel extends BaseChatModel {
+  constructor({ baseUrl, apiKey = null, model, temperature = 0.3, maxOutputTokens = 8192, ...rest }) {
+    super(rest);
+    if (!baseUrl) {
+      throw new Error('OpenAICompatibleChatModel requires baseUrl');
+    }
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxOutputTokens = maxOutputTokens;
+  }
+
+  _llmType() {
+    return 'openai-compatible';
+  }
+
+  /**
+   * Bind function tools (sent as the `tools` request field)
+   */
+  bindTools(tools, kwargs) {
+    return this.withConfig({ tools: toOpenAITools(tools), ...kwargs });
+  }
+
+  /**
+   * Build the /chat/completions request body
+   */
+  buildRequest(messages, options) {
+    const body = {
+      model: this.model,
+      messages: toRoleMessages(messages),
+      temperature: this.temperature,
+      max_tokens: this.maxOutputTokens
+    };
+
+    if (options?.tools?.length) {
+      body.tools = options.tools;
+      if (options.tool_choice) body.tool_choice = options.tool_choice;
+    }
+
+    return body;
+  }
+
+  requestHeaders() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  async _generate(messages, options) {
+    const data = await postJson(`${this.baseUrl}/chat/completions`, this.buildRequest(messages, options), {
+      headers: this.requestHeaders(),
+      signal: options?.signal
+    });
+
+    const choice = data.choices?.[0];
+    const text = choice?.message?.content || '';
+    const toolCalls = (choice?.message?.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function.name,
+      args: parseToolArguments(call.function.arguments),
+      type: 'tool_call'
+    }));
+
+    return {
+      generations: [{
+        text,
+        message: new AIMessage({ content: text, tool_calls: toolCalls }),
+        generationInfo: { finishReason: choice?.finish_reason }
+      }],
+      llmOutput: { tokenUsage: data.usage }
+    };
+  }
+
+  /**
+   * Stream server-sent deltas; tool-call fragments are merged by index
+   * when LangChain concatenates the chunks
+   */
+  async *_streamResponseChunks(messages, options, runManager) {
+    const body = { ...this.buildRequest(messages, options), stream: true };
+    const lines = postJsonLines(`${this.baseUrl}/chat/completions`, body, {
+      headers: this.requestHeaders(),
+      signal: options?.signal
+    });
+
+    for await (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') break;
+
+      const delta = JSON.parse(payload).choices?.[0]?.delta;
+      if (!delta) continue;
+
+      const text = delta.content || '';
+      const toolCallChunks = (delta.tool_calls || []).map(call => ({
+        index: call.index,
+        id: call.id,
+        name: call.function?.name,
+        args: call.function?.arguments || '',
+        type: 'tool_call_chunk'
+      }));
+
+      yield new ChatGenerationChunk({
+        text,
+        message: new AIMessageChunk({ content: text, tool_call_chunks: toolCallChunks })
+      });
+      if (text) await runManager?.handleLLMNewToken(text);
+    }
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Deterministic scripted chat model
+ *
+ * Stands in for a real LLM in CI and offline environments. Responses are
+ * chosen by matching the prompt against an ordered list of rules:
+ *
+ *   { "rules": [{ "match": "NEEDS_REFRESH", "response": "..." }], "default": "..." }
+ *
+ * A rule may also carry "toolCalls": [{ "name": "contribute", "args": {...} }].
+ * They are emitted only when tools are bound and the model is not already
+ * answering a tool result, so scripted tool loops always terminate.
+ *
+ * Rules come from LLM_SCRIPT_PATH (JSON file) or the constructor, and are
+ * checked before the built-in rules that keep the agent graph functional
+ * (understanding, canvas refresh, topic extraction).
+ */
+
+import fs from 'fs';
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+import { v4 as uuidv4 } from 'uuid';
+import { messageText } from './messageFormat.js';
+
+/**
+ * Built-in responses for the prompts issued by LangGraphAgent
+ */
+const BUILT_IN_RULES = [
+  {
+    match: /NEEDS_REFRESH:/,
+    respond: (prompt) => {
+      const canvasEmpty = prompt.includes('Central Idea: None yet');
+      return `ANALYSIS: scripted analysis\nNEEDS_REFRESH: ${canvasEmpty}\nEXTRACTED_THEME: scripted`;
+    }
+  },
+  {
+    match: /Polyphony Synthesis Agent/,
+    respond: (prompt) => {
+      const topics = [...prompt.matchAll(/TOPIC: (.+)\nCONTENT: (.*)/g)].slice(0, 5);
+      return JSON.stringify({
+        centralIdea: topics[0]?.[1] || 'Scripted Session',
+        hierarchy: topics.map(([, title, content], i) => ({
+          title,
+          content: content.slice(0, 200),
+          importance: Math.max(1, 8 - i),
+          children: []
+        }))
+      });
+    }
+  },
+  {
+    match: /Extract key topics\/concepts/,
+    respond: () => '[]'
+  }
+];
+
+export class ScriptedChatModel extends BaseChatModel {
+  constructor({ rules = [], defaultResponse = null, scriptPath = null, ...rest } = {}) {
+    super(rest);
+
+    let script = { rules, default: defaultResponse };
+    if (scriptPath) {
+      script = JSON.parse(fs.readFileSync(scriptPath, 'utf-8'));
+    }
+
+    this.rules = (script.rules || []).map(rule => ({
+      match: new RegExp(rule.match, rule.flags || ''),
+      respond: () => rule.response || '',
+      toolCalls: rule.toolCalls || []
+    }));
+    this.defaultResponse = script.default || null;
+  }
+
+  _llmType() {
+    return 'scripted';
+  }
+
+  /**
+   * Bind tools - only their names matter to the script
+   */
+  bindTools(tools, kwargs) {
+    return this.withConfig({ tools, ...kwargs });
+  }
+
+  /**
+   * Pick the response (text and optional tool calls) for a prompt
+   */
+  respondTo(messages) {
+    const prompt = messages.map(m => messageText(m.content)).join('\n');
+
+    for (const rule of [...this.rules, ...BUILT_IN_RULES]) {
+      if (rule.match.test(prompt)) {
+        return { text: rule.respond(prompt), toolCalls: rule.toolCalls || [] };
+      }
+    }
+
+    const lastMessage = messages[messages.length - 1];
+    const text = this.defaultResponse
+      || `Scripted response to: ${messageText(lastMessage?.content).slice(0, 200)}`;
+    return { text, toolCalls: [] };
+  }
+
+  /**
+   * Response text plus the tool calls allowed for this invocation
+   */
+  scriptedTurn(messages, options) {
+    // Honour cancellation like the HTTP-backed models do
+    options?.signal?.throwIfAborted();
+    const { text, toolCalls } = this.respondTo(messages);
+
+    const boundTools = new Set((options?.tools || []).map(t => t.function?.name || t.name));
+    const answeringToolResult = messages[messages.length - 1]?.getType() === 'tool';
+    const calls = answeringToolResult || options?.tool_choice === 'none'
+      ? []
+      : toolCalls
+        .filter(call => boundTools.has(call.name))
+        .map(call => ({ id: uuidv4(), name: call.name, args: call.args || {}, type: 'tool_call' }));
+
+    return { text, calls };
+  }
+
+  async _generate(messages, options) {
+    const { text, calls } = this.scriptedTurn(messages, options);
+
+    return {
+      generations: [{ text, message: new AIMessage({ content: text, tool_calls: calls }) }]
+    };
+  }
+
+  /**
+   * Stream the scripted text word by word, then any tool calls
+   */
+  async *_streamResponseChunks(messages, options, runManager) {
+    const { text, calls } = this.scriptedTurn(messages, options);
+
+    for (const token of text.match(/\S+\s*|\s+/g) || []) {
+      options?.signal?.throwIfAborted();
+      yield new ChatGenerationChunk({ text: token, message: new AIMessageChunk({ content: token }) });
+      await runManager?.handleLLMNewToken(token);
+    }
+
+    if (calls.length > 0) {
+      yield new ChatGenerationChunk({
+        text: '',
+        message: new AIMessageChunk({
+          content: '',
+          tool_call_chunks: calls.map((call, index) => ({
+            index,
+            id: call.id,
+            name: call.name,
+            args: JSON.stringify(call.args),
+            type: 'tool_call_chunk'
+          }))
+        })
+      });
+    }
+  }
+}
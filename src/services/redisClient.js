@@ -1,4 +1,48 @@
 import { createClient } from 'redis';
+import { v4 as uuidv4 } from 'uuid';
+
+// Deletes a lock only if it is still held with the given token
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// Token buckets: takes ARGV[3i-2..3i] = capacity, refill per ms, cost from
+// each bucket KEYS[i], all or nothing. Returns { 0, 0 } when taken, otherwise
+// { ms until the scarcest bucket has enough, its index } and takes nothing.
+const TAKE_TOKENS_SCRIPT = `
+local time = redis.call('time')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local levels = {}
+local wait, limitedBy = 0, 0
+for i, key in ipairs(KEYS) do
+  local capacity = tonumber(ARGV[i * 3 - 2])
+  local rate = tonumber(ARGV[i * 3 - 1])
+  local cost = tonumber(ARGV[i * 3])
+  local bucket = redis.call('hmget', key, 'tokens', 'ts')
+  local tokens = tonumber(bucket[1]) or capacity
+  local ts = tonumber(bucket[2]) or now
+  tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+  levels[i] = tokens
+  if tokens < cost then
+    local needed = math.ceil((cost - tokens) / rate)
+    if needed > wait then
+      wait, limitedBy = needed, i
+    end
+  end
+end
+if wait > 0 then
+  return { wait, limitedBy }
+end
+for i, key in ipairs(KEYS) do
+  local capacity = tonumber(ARGV[i * 3 - 2])
+  local rate = tonumber(ARGV[i * 3 - 1])
+  local tokens = levels[i] - tonumber(ARGV[i * 3])
+  redis.call('hset', key, 'tokens', tostring(tokens), 'ts', tostring(now))
+  redis.call('pexpire', key, math.ceil((capacity - tokens) / rate) + 1000)
+end
+return { 0, 0 }`;
 
 export class RedisClient {
   constructor(host = 'localhost', port = 6379) {
@@ -38,6 +82,38 @@ export class RedisClient {
     }
   }
 
+  // Publisher and subscriber connections for the Socket.io Redis adapter
+  async createPubSubClients() {
+    const pubClient = this.client.duplicate();
+    const subClient = pubClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    return [pubClient, subClient];
+  }
+
+  /**
+   * Run fn while holding the room's lock, so read-modify-write of shared room
+   * state by one server instance is not interleaved with another's. The lock
+   * expires after ttlMs in case its holder dies.
+   */
+  async withRoomLock(roomId, fn, { ttlMs = 10000, waitMs = 5000 } = {}) {
+    const lockKey = `${roomId}:lock`;
+    const token = uuidv4();
+    const deadline = Date.now() + waitMs;
+
+    while (!await this.client.set(lockKey, token, { NX: true, PX: ttlMs })) {
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the lock on room ${roomId}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 20 + Math.random() * 30));
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await this.client.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey], arguments: [token] });
+    }
+  }
+
   // Store thought/content snippet
   // TTL: null = no expiration (lives until room cleanup), number = seconds until expiration
   async storeThought(roomId, userId, content, embedding = null, ttl = null) {
@@ -117,6 +193,26 @@ export class RedisClient {
     return await this.client.zCard(`${roomId}:active_users`);
   }
 
+  async getActiveUser(roomId, userId) {
+    const user = await this.client.hGetAll(`${roomId}:user:${userId}`);
+    return Object.keys(user).length > 0 ? user : null;
+  }
+
+  // Members whose last heartbeat (their score) is older than the given time
+  async getStaleActiveUsers(roomId, olderThan) {
+    return await this.client.zRangeByScore(`${roomId}:active_users`, '-inf', olderThan);
+  }
+
+  // Rooms whose active user set is not empty
+  async getRoomsWithActiveUsers() {
+    const suffix = ':active_users';
+    const roomIds = [];
+    for await (const key of this.client.scanIterator({ MATCH: `*${suffix}` })) {
+      roomIds.push(key.slice(0, -suffix.length));
+    }
+    return roomIds;
+  }
+
   // Cleanup room when last user leaves
   async cleanupRoom(roomId) {
     const pattern = `${roomId}:*`;
@@ -177,6 +273,290 @@ export class RedisClient {
     await this.client.hSet(`room:${roomId}:meta`, 'lastActivity', Date.now());
   }
 
+  // Shared group chat transcript of a room (oldest first, capped at maxEntries)
+  async appendTranscript(roomId, entry, maxEntries = 500) {
+    const transcriptKey = `${roomId}:transcript`;
+    await this.client.rPush(transcriptKey, JSON.stringify(entry));
+    await this.client.lTrim(transcriptKey, -maxEntries, -1);
+  }
+
+  async getTranscript(roomId, limit = 100) {
+    const entries = await this.client.lRange(`${roomId}:transcript`, -limit, -1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  // Private conversation history of one user in a room (oldest first)
+  async appendHistory(roomId, userId, message) {
+    await this.client.rPush(`${roomId}:history:${userId}`, JSON.stringify(message));
+  }
+
+  async getHistory(roomId, userId) {
+    const messages = await this.client.lRange(`${roomId}:history:${userId}`, 0, -1);
+    return messages.map(message => JSON.parse(message));
+  }
+
+  // Keep only the newest `keep` messages
+  async trimHistory(roomId, userId, keep) {
+    const historyKey = `${roomId}:history:${userId}`;
+    if (keep > 0) {
+      await this.client.lTrim(historyKey, -keep, -1);
+    } else {
+      await this.client.del(historyKey);
+    }
+  }
+
+  // Shared state of a live room (admin, settings, canvas) - whichever server
+  // instance handles a request reads it from here. Deleted with the room.
+  async getRoomState(roomId) {
+    const state = await this.client.get(`${roomId}:state`);
+    return state ? JSON.parse(state) : null;
+  }
+
+  async saveRoomState(roomId, state) {
+    await this.client.set(`${roomId}:state`, JSON.stringify(state));
+  }
+
+  async getCanvas(roomId) {
+    const canvas = await this.client.get(`${roomId}:canvas`);
+    return canvas ? JSON.parse(canvas) : null;
+  }
+
+  async saveCanvas(roomId, canvas) {
+    await this.client.set(`${roomId}:canvas`, JSON.stringify(canvas));
+  }
+
+  // Past canvas versions, newest first: { version, timestamp, trigger, canvas }.
+  // Only the latest `limit` are kept; deleted with the room like the canvas.
+  async addCanvasVersion(roomId, entry, limit) {
+    const key = `${roomId}:canvas_history`;
+    await this.client.lPush(key, JSON.stringify(entry));
+    await this.client.lTrim(key, 0, limit - 1);
+  }
+
+  async getCanvasVersions(roomId) {
+    const entries = await this.client.lRange(`${roomId}:canvas_history`, 0, -1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  // Parsed uploads of a room (metadata and text chunks), by file id
+  async saveFileMetadata(roomId, fileId, metadata) {
+    await this.client.hSet(`${roomId}:files`, fileId, JSON.stringify(metadata));
+  }
+
+  async getFileMetadata(roomId, fileId) {
+    const metadata = await this.client.hGet(`${roomId}:files`, fileId);
+    return metadata ? JSON.parse(metadata) : null;
+  }
+
+  async listFileMetadata(roomId) {
+    const files = await this.client.hVals(`${roomId}:files`);
+    return files.map(metadata => JSON.parse(metadata));
+  }
+
+  async deleteRoomFiles(roomId) {
+    await this.client.del(`${roomId}:files`);
+  }
+
+  // Users who disconnected and may still resume (reconnect grace window): userId -> session
+  async addAwayUser(roomId, userId, session) {
+    await this.client.hSet(`${roomId}:away`, userId, JSON.stringify(session));
+  }
+
+  // True if the user was away - only one caller gets to resume or remove them
+  async removeAwayUser(roomId, userId) {
+    return await this.client.hDel(`${roomId}:away`, userId) > 0;
+  }
+
+  // Claim an away user's session to resume it; null if not away (or claimed elsewhere)
+  async takeAwayUser(roomId, userId) {
+    const session = await this.client.hGet(`${roomId}:away`, userId);
+    if (!session || !await this.removeAwayUser(roomId, userId)) return null;
+    return JSON.parse(session);
+  }
+
+  async getAwayUsers(roomId) {
+    const sessions = await this.client.hVals(`${roomId}:away`);
+    return sessions.map(session => JSON.parse(session));
+  }
+
+  // Ids of the agent requests running for a user, on any server instance.
+  // The TTL clears ids left behind by an instance that went away.
+  async addUserRequest(roomId, userId, messageId) {
+    const requestsKey = `${roomId}:requests:${userId}`;
+    await this.client.sAdd(requestsKey, messageId);
+    await this.client.expire(requestsKey, 600);
+  }
+
+  async removeUserRequest(roomId, userId, messageId) {
+    await this.client.sRem(`${roomId}:requests:${userId}`, messageId);
+  }
+
+  async getUserRequests(roomId, userId) {
+    return await this.client.sMembers(`${roomId}:requests:${userId}`);
+  }
+
+  async clearUserRequests(roomId, userId) {
+    await this.client.del(`${roomId}:requests:${userId}`);
+  }
+
+  // Per-room queue of agent work (see RoomWorkQueue): jobs ordered by ticket,
+  // each alive while its lease key exists
+  async enqueueWork(roomId, jobId, leaseMs) {
+    const ticket = await this.client.incr(`${roomId}:work_seq`);
+    await this.client.set(`${roomId}:work:${jobId}`, '1', { PX: leaseMs });
+    await this.client.zAdd(`${roomId}:work`, { score: ticket, value: jobId });
+  }
+
+  async renewWork(roomId, jobId, leaseMs) {
+    await this.client.pExpire(`${roomId}:work:${jobId}`, leaseMs);
+  }
+
+  // Jobs ahead of this one (0 = its turn, null = not queued). A job at the
+  // head whose lease ran out (its instance went away) is dropped first.
+  async getWorkPosition(roomId, jobId) {
+    const queueKey = `${roomId}:work`;
+    const position = await this.client.zRank(queueKey, jobId);
+    if (!position) return position;
+
+    const [head] = await this.client.zRange(queueKey, 0, 0);
+    if (head && !await this.client.exists(`${roomId}:work:${head}`)) {
+      await this.client.zRem(queueKey, head);
+      return await this.client.zRank(queueKey, jobId);
+    }
+    return position;
+  }
+
+  async dequeueWork(roomId, jobId) {
+    await this.client.zRem(`${roomId}:work`, jobId);
+    await this.client.del(`${roomId}:work:${jobId}`);
+  }
+
+  /**
+   * Claim a user's message id so only one instance handles it. Returns null
+   * if claimed, otherwise what is recorded for the message
+   * ({ status: 'pending' } while it is being handled, or the stored outcome).
+   */
+  async claimMessage(roomId, userId, messageId, ttlSeconds) {
+    const messageKey = `${roomId}:messages:${userId}:${messageId}`;
+    const claimed = await this.client.set(messageKey, JSON.stringify({ status: 'pending' }), { NX: true, EX: ttlSeconds });
+    if (claimed) return null;
+
+    const record = await this.client.get(messageKey);
+    return record ? JSON.parse(record) : { status: 'pending' };
+  }
+
+  async completeMessage(roomId, userId, messageId, record, ttlSeconds) {
+    await this.client.set(`${roomId}:messages:${userId}:${messageId}`, JSON.stringify(record), { EX: ttlSeconds });
+  }
+
+  // Forget a message that was not handled, so sending it again runs it
+  async releaseMessage(roomId, userId, messageId) {
+    await this.client.del(`${roomId}:messages:${userId}:${messageId}`);
+  }
+
+  /**
+   * Take tokens from several buckets at once ([{ key, capacity, refillPerMs, cost }]).
+   * Returns { retryAfterMs: 0 } if taken, otherwise how long until they
+   * would be and the index of the bucket that is short.
+   */
+  async takeTokens(buckets) {
+    const [retryAfterMs, limitedBy] = await this.client.eval(TAKE_TOKENS_SCRIPT, {
+      keys: buckets.map(b => b.key),
+      arguments: buckets.flatMap(b => [String(b.capacity), String(b.refillPerMs), String(b.cost)])
+    });
+    return { retryAfterMs, limitedBy: limitedBy - 1 };
+  }
+
+  // LLM calls and tokens a space used on a (UTC) day; kept for a day after it ends
+  async addLLMUsage(spaceId, day, calls, tokens) {
+    const usageKey = `space:${spaceId}:usage:${day}`;
+    await this.client.hIncrBy(usageKey, 'calls', calls);
+    await this.client.hIncrBy(usageKey, 'tokens', tokens);
+    await this.client.expire(usageKey, 2 * 24 * 60 * 60);
+  }
+
+  async getLLMUsage(spaceId, day) {
+    const usage = await this.client.hGetAll(`space:${spaceId}:usage:${day}`);
+    return {
+      calls: parseInt(usage.calls || '0'),
+      tokens: parseInt(usage.tokens || '0')
+    };
+  }
+
+  // Participant roles in a space (the owner's role is implied by the space, not stored).
+  // Kept under the space key so they survive room cleanup and expire with the space.
+  async setUserRole(spaceId, userId, role) {
+    const rolesKey = `space:${spaceId}:roles`;
+    await this.client.hSet(rolesKey, userId, role);
+
+    const ttl = await this.client.pTTL(`space:${spaceId}`);
+    if (ttl > 0) {
+      await this.client.pExpire(rolesKey, ttl);
+    }
+  }
+
+  async getUserRole(spaceId, userId) {
+    return await this.client.hGet(`space:${spaceId}:roles`, userId);
+  }
+
+  // Register a created space - outlives its room, which is torn down when empty
+  // expiresAt: ms timestamp after which the space can no longer be joined (null = never)
+  // lingerSeconds: how long its room survives once empty (null = deployment default)
+  // llmCallsPerDay / llmTokensPerDay: daily LLM quota (null = deployment default, 0 = unlimited)
+  async createSpace(spaceId, {
+    title, owner, ownerId, llmProvider = null, lingerSeconds = null, expiresAt = null,
+    llmCallsPerDay = null, llmTokensPerDay = null
+  }) {
+    const spaceKey = `space:${spaceId}`;
+    const space = {
+      spaceId,
+      title,
+      owner,
+      ownerId,
+      createdAt: Date.now(),
+      llmProvider: llmProvider || '',
+      lingerSeconds: lingerSeconds ?? '',
+      expiresAt: expiresAt || '',
+      llmCallsPerDay: llmCallsPerDay ?? '',
+      llmTokensPerDay: llmTokensPerDay ?? ''
+    };
+
+    await this.client.hSet(spaceKey, space);
+    if (expiresAt) {
+      await this.client.pExpireAt(spaceKey, expiresAt);
+    }
+
+    return this.parseSpace(space);
+  }
+
+  // Get a registered space (null if unknown or expired)
+  async getSpace(spaceId) {
+    const space = await this.client.hGetAll(`space:${spaceId}`);
+    if (!space || !space.spaceId) return null;
+    return this.parseSpace(space);
+  }
+
+  parseSpace(space) {
+    return {
+      spaceId: space.spaceId,
+      title: space.title,
+      owner: space.owner,
+      ownerId: space.ownerId,
+      createdAt: parseInt(space.createdAt),
+      llmProvider: space.llmProvider || null,
+      lingerSeconds: space.lingerSeconds !== undefined && space.lingerSeconds !== ''
+        ? parseInt(space.lingerSeconds)
+        : null,
+      expiresAt: space.expiresAt ? parseInt(space.expiresAt) : null,
+      llmCallsPerDay: this.parseOptionalInt(space.llmCallsPerDay),
+      llmTokensPerDay: this.parseOptionalInt(space.llmTokensPerDay)
+    };
+  }
+
+  parseOptionalInt(value) {
+    return value !== undefined && value !== '' ? parseInt(value) : null;
+  }
+
   // Get client for direct redis operations
   getClient() {
     return this.client;
@@ -0,0 +1,104 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+const GEMINI_EMBEDDING_MODEL = 'text-embedding-004';
+const GEMINI_EMBEDDING_DIMENSIONS = 768;
+const MAX_CHUNK_SIZE = 8000; // Gemini embedding limit
+
+const LOCAL_EMBEDDING_DIMENSIONS = 512;
+const LOCAL_NGRAM_SIZE = 3;
+
+export const EMBEDDING_PROVIDERS = {
+  GEMINI: 'gemini',
+  LOCAL: 'local'
+};
+
+// Embedding provider interface:
+//   name        - provider id stored with each room's vectors
+//   dimensions  - vector length produced by embed()
+//   embed(text) - Promise<number[] | null>
+
+// Gemini text-embedding-004 (needs GOOGLE_AI_API_KEY / GEMINI_API_KEY)
+export class GeminiEmbeddingProvider {
+  constructor(apiKey) {
+    this.name = EMBEDDING_PROVIDERS.GEMINI;
+    this.dimensions = GEMINI_EMBEDDING_DIMENSIONS;
+    this.model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: GEMINI_EMBEDDING_MODEL });
+  }
+
+  async embed(text) {
+    // Truncate text if too long (embedding model has limits)
+    const result = await this.model.embedContent(text.slice(0, MAX_CHUNK_SIZE));
+    return result.embedding.values;
+  }
+}
+
+// Deterministic on-CPU embeddings: signed feature hashing of word unigrams
+// and character n-grams into a fixed-size, L2-normalized vector.
+// No network, no model download - identical text always yields identical vectors.
+export class LocalEmbeddingProvider {
+  constructor(dimensions = LOCAL_EMBEDDING_DIMENSIONS) {
+    this.name = EMBEDDING_PROVIDERS.LOCAL;
+    this.dimensions = dimensions;
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const normalized = text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ');
+    const words = normalized.split(/\s+/).filter(w => w.length > 1);
+
+    for (const word of words) {
+      // Whole words carry more meaning than fragments
+      this._addFeature(vector, `w:${word}`, 2);
+
+      const padded = ` ${word} `;
+      for (let i = 0; i <= padded.length - LOCAL_NGRAM_SIZE; i++) {
+        this._addFeature(vector, `g:${padded.slice(i, i + LOCAL_NGRAM_SIZE)}`, 1);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm === 0 ? vector : vector.map(v => v / norm);
+  }
+
+  _addFeature(vector, feature, weight) {
+    const hash = this._fnv1a(feature);
+    const sign = (hash & 0x80000000) ? -1 : 1;
+    vector[hash % this.dimensions] += sign * weight;
+  }
+
+  // 32-bit FNV-1a hash
+  _fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+// Build all providers usable in this deployment, keyed by name.
+// The default comes from EMBEDDING_PROVIDER; without it, Gemini is used when
+// an API key exists and the local provider otherwise.
+export function createEmbeddingProviders() {
+  const providers = new Map();
+  providers.set(EMBEDDING_PROVIDERS.LOCAL, new LocalEmbeddingProvider());
+
+  const apiKey = process.env.GOOGLE_AI_API_KEY || process.env.GEMINI_API_KEY;
+  if (apiKey) {
+    providers.set(EMBEDDING_PROVIDERS.GEMINI, new GeminiEmbeddingProvider(apiKey));
+  }
+
+  const requested = (process.env.EMBEDDING_PROVIDER || '').toLowerCase();
+  let defaultName = apiKey ? EMBEDDING_PROVIDERS.GEMINI : EMBEDDING_PROVIDERS.LOCAL;
+
+  if (requested) {
+    if (providers.has(requested)) {
+      defaultName = requested;
+    } else {
+      console.warn(`Embedding provider "${requested}" unavailable - using ${defaultName}`);
+    }
+  }
+
+  return { providers, defaultProvider: providers.get(defaultName) };
+}
@@ -15,9 +15,11 @@ const CHUNK_CONFIG = {
 // Average characters per token (rough estimate for mixed text)
 const CHARS_PER_TOKEN = 4;
 
+// Uploaded originals are kept on local disk; their parsed text (metadata and
+// chunks) is kept in Redis so every server instance can read it
 export class FileStorage {
-  constructor() {
-    this.files = new Map(); // fileId -> file metadata
+  constructor(redisClient) {
+    this.redisClient = redisClient;
   }
 
   async init() {
@@ -166,12 +168,12 @@ export class FileStorage {
       totalChars: textContent.length,
       totalTokens: this.estimateTokens(textContent),
       chunkCount: chunks.length,
-      chunks, // Store chunks in memory for quick access
+      chunks,
       parseError,
       createdAt: Date.now()
     };
 
-    this.files.set(fileId, metadata);
+    await this.redisClient.saveFileMetadata(roomId, fileId, metadata);
 
     console.log(`FileStorage: saved ${fileName} (${chunks.length} chunks, ${metadata.totalTokens} tokens, ${parseError ? 'PARSE ERROR' : 'OK'})`);
 
@@ -225,8 +227,8 @@ export class FileStorage {
   }
 
   // Read specific chunk(s) from a file
-  readFileSection(fileId, startChunk, endChunk) {
-    const metadata = this.files.get(fileId);
+  async readFileSection(roomId, fileId, startChunk, endChunk) {
+    const metadata = await this.redisClient.getFileMetadata(roomId, fileId);
     if (!metadata) {
       return { error: `File not found: ${fileId}` };
     }
@@ -257,8 +259,8 @@ export class FileStorage {
   }
 
   // Get specific chunk by index
-  getChunk(fileId, chunkIndex) {
-    const metadata = this.files.get(fileId);
+  async getChunk(roomId, fileId, chunkIndex) {
+    const metadata = await this.redisClient.getFileMetadata(roomId, fileId);
     if (!metadata) {
       return { error: `File not found: ${fileId}` };
     }
@@ -283,58 +285,50 @@ export class FileStorage {
   }
 
   // Get file metadata
-  getFileMetadata(fileId) {
-    return this.files.get(fileId);
+  async getFileMetadata(roomId, fileId) {
+    return await this.redisClient.getFileMetadata(roomId, fileId);
   }
 
   // List all files in a room
-  listRoomFiles(roomId) {
-    const files = [];
-    for (const [fileId, metadata] of this.files) {
-      if (metadata.roomId === roomId) {
-        files.push({
-          fileId,
-          fileName: metadata.fileName,
-          fileType: metadata.fileType,
-          chunkCount: metadata.chunkCount,
-          totalTokens: metadata.totalTokens,
-          totalChars: metadata.totalChars,
-          parseError: metadata.parseError,
-          createdAt: metadata.createdAt
-        });
-      }
-    }
-    return files;
+  async listRoomFiles(roomId) {
+    const files = await this.redisClient.listFileMetadata(roomId);
+    return files.map(metadata => ({
+      fileId: metadata.fileId,
+      fileName: metadata.fileName,
+      fileType: metadata.fileType,
+      chunkCount: metadata.chunkCount,
+      totalTokens: metadata.totalTokens,
+      totalChars: metadata.totalChars,
+      parseError: metadata.parseError,
+      createdAt: metadata.createdAt
+    }));
   }
 
   // Get chunk info for all files in a room (for embedding)
-  getAllChunks(roomId) {
+  async getAllChunks(roomId) {
     const chunks = [];
-    for (const [fileId, metadata] of this.files) {
-      if (metadata.roomId === roomId) {
-        for (const chunk of metadata.chunks) {
-          chunks.push({
-            fileId,
-            fileName: metadata.fileName,
-            chunkIndex: chunk.index,
-            totalChunks: metadata.chunkCount,
-            content: chunk.text,
-            tokens: chunk.tokens
-          });
-        }
+    for (const metadata of await this.redisClient.listFileMetadata(roomId)) {
+      for (const chunk of metadata.chunks) {
+        chunks.push({
+          fileId: metadata.fileId,
+          fileName: metadata.fileName,
+          chunkIndex: chunk.index,
+          totalChunks: metadata.chunkCount,
+          content: chunk.text,
+          tokens: chunk.tokens
+        });
       }
     }
     return chunks;
   }
 
   // Search within file content
-  searchInFiles(roomId, query) {
+  async searchInFiles(roomId, query) {
     const queryLower = query.toLowerCase();
     const results = [];
 
-    for (const [fileId, metadata] of this.files) {
-      if (metadata.roomId !== roomId) continue;
-
+    for (const metadata of await this.redisClient.listFileMetadata(roomId)) {
+      const { fileId } = metadata;
       for (const chunk of metadata.chunks) {
         if (chunk.text.toLowerCase().includes(queryLower)) {
           results.push({
@@ -355,43 +349,16 @@ export class FileStorage {
   async cleanupRoom(roomId) {
     const roomDir = path.join(BASE_DIR, roomId);
 
-    // Remove files from memory
-    let fileCount = 0;
-    for (const [fileId, metadata] of this.files) {
-      if (metadata.roomId === roomId) {
-        this.files.delete(fileId);
-        fileCount++;
-      }
-    }
+    await this.redisClient.deleteRoomFiles(roomId);
 
     // Remove directory
     try {
       await fs.rm(roomDir, { recursive: true, force: true });
-      console.log(`FileStorage: cleaned up room ${roomId} (${fileCount} files)`);
+      console.log(`FileStorage: cleaned up room ${roomId}`);
     } catch (error) {
       if (error.code !== 'ENOENT') {
         console.error(`FileStorage: error cleaning up room ${roomId}:`, error);
       }
     }
   }
-
-  // Get storage statistics
-  getStats() {
-    let totalFiles = 0;
-    let totalChunks = 0;
-    let totalTokens = 0;
-
-    for (const metadata of this.files.values()) {
-      totalFiles++;
-      totalChunks += metadata.chunkCount;
-      totalTokens += metadata.totalTokens;
-    }
-
-    return {
-      totalFiles,
-      totalChunks,
-      totalTokens,
-      rooms: new Set([...this.files.values()].map(m => m.roomId)).size
-    };
-  }
 }
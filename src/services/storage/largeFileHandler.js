@@ -87,7 +87,8 @@ export class LargeFileHandler {
       
       // Generate embeddings for batch
       const embeddings = await this.vectorDB.generateEmbeddingsBatch(
-        batch.map(c => `${fileInfo.fileName} part ${(c.index ?? 0) + 1}: ${(c.text || c.content || '').slice(0, 1000)}`)
+        batch.map(c => `${fileInfo.fileName} part ${(c.index ?? 0) + 1}: ${(c.text || c.content || '').slice(0, 1000)}`),
+        roomId
       );
 
       // Store embedded knowledge entries
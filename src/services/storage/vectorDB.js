@@ -1,39 +1,76 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { v4 as uuidv4 } from 'uuid';
+import { createEmbeddingProviders } from './embeddingProviders.js';
 
-const EMBEDDING_MODEL = 'text-embedding-004';
-const EMBEDDING_DIMENSIONS = 768;
 const MAX_CHUNK_SIZE = 8000; // Gemini embedding limit
 const TARGET_CHUNK_TOKENS = 512; // Target ~512 tokens per chunk
 
 export class VectorDB {
   constructor(redisClient) {
     this.redisClient = redisClient;
-    this.genAI = null;
-    this.embeddingModel = null;
-
-    // Initialize embedding model
-    const apiKey = process.env.GOOGLE_AI_API_KEY || process.env.GEMINI_API_KEY;
-    if (apiKey) {
-      this.genAI = new GoogleGenerativeAI(apiKey);
-      this.embeddingModel = this.genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
-      console.log(`VectorDB initialized with embedding model: ${EMBEDDING_MODEL}`);
-    } else {
-      console.warn('VectorDB: No API key - embeddings disabled, using keyword search fallback');
-    }
+
+    // Initialize embedding providers
+    const { providers, defaultProvider } = createEmbeddingProviders();
+    this.embeddingProviders = providers;
+    this.defaultEmbeddingProvider = defaultProvider;
+    console.log(`VectorDB initialized with embedding provider: ${defaultProvider.name} (${defaultProvider.dimensions} dimensions)`);
   }
 
-  // Generate embedding for text with caching
-  async generateEmbedding(text) {
-    if (!this.embeddingModel) {
+  // Resolve the embedding provider for a room.
+  // The first embedding in a room records provider + dimensions in Redis so every
+  // vector in the room (and every query against it) lives in the same space.
+  // The record is read every time rather than cached: another instance may
+  // have assigned it (one round trip next to an embedding call - batches
+  // resolve once and reuse it).
+  // Returns null when the recorded provider is unavailable here or no longer
+  // yields the recorded dimensions. The room is not switched: its stored
+  // vectors would stop comparing, so it is searched by keywords instead.
+  async getRoomEmbeddingProvider(roomId) {
+    if (!roomId) {
+      return this.defaultEmbeddingProvider;
+    }
+
+    const client = this.redisClient.getClient();
+    const metaKey = `${roomId}:embedding_meta`;
+    const meta = await client.hGetAll(metaKey);
+
+    if (!meta.provider) {
+      const provider = this.defaultEmbeddingProvider;
+      await client.hSet(metaKey, {
+        provider: provider.name,
+        dimensions: provider.dimensions,
+        assignedAt: Date.now()
+      });
+      return provider;
+    }
+
+    const provider = this.embeddingProviders.get(meta.provider);
+    if (!provider || provider.dimensions !== Number(meta.dimensions)) {
+      console.warn(`VectorDB: room ${roomId} was embedded with "${meta.provider}" (${meta.dimensions} dimensions) which is unavailable - using keyword search only`);
       return null;
     }
 
+    return provider;
+  }
+
+  // Get embedding provider name and dimensions for a room (the recorded ones,
+  // even when that provider is unavailable here)
+  async getEmbeddingInfo(roomId) {
+    if (roomId) {
+      const meta = await this.redisClient.getClient().hGetAll(`${roomId}:embedding_meta`);
+      if (meta.provider) {
+        return { provider: meta.provider, dimensions: Number(meta.dimensions) };
+      }
+    }
+    const provider = this.defaultEmbeddingProvider;
+    return { provider: provider.name, dimensions: provider.dimensions };
+  }
+
+  // Generate embedding for text using the room's provider
+  // (null when the room has none available - see getRoomEmbeddingProvider)
+  async generateEmbedding(text, roomId = null) {
     try {
-      // Truncate text if too long (embedding model has limits)
-      const truncatedText = text.slice(0, MAX_CHUNK_SIZE);
-      const result = await this.embeddingModel.embedContent(truncatedText);
-      return result.embedding.values;
+      const provider = await this.getRoomEmbeddingProvider(roomId);
+      return provider ? await provider.embed(text) : null;
     } catch (error) {
       console.error('Embedding generation error:', error);
       return null;
@@ -41,8 +78,20 @@ export class VectorDB {
   }
 
   // Batch generate embeddings efficiently
-  async generateEmbeddingsBatch(texts) {
-    if (!this.embeddingModel || texts.length === 0) {
+  async generateEmbeddingsBatch(texts, roomId = null) {
+    if (texts.length === 0) {
+      return [];
+    }
+
+    // Resolve the room's provider once for the whole batch
+    let provider;
+    try {
+      provider = await this.getRoomEmbeddingProvider(roomId);
+    } catch (error) {
+      console.error('Embedding generation error:', error);
+      return texts.map(() => null);
+    }
+    if (!provider) {
       return texts.map(() => null);
     }
 
@@ -52,7 +101,10 @@ export class VectorDB {
     
     for (let i = 0; i < texts.length; i += batchSize) {
       const batch = texts.slice(i, i + batchSize);
-      const batchPromises = batch.map(text => this.generateEmbedding(text));
+      const batchPromises = batch.map(text => provider.embed(text).catch(error => {
+        console.error('Embedding generation error:', error);
+        return null;
+      }));
       const batchResults = await Promise.all(batchPromises);
       results.push(...batchResults);
     }
@@ -153,7 +205,8 @@ export class VectorDB {
       
       // Generate embeddings for all chunks in batch
       const textsToEmbed = chunks.map(c => `${c.topic || topic}: ${c.text}`);
-      const embeddings = await this.generateEmbeddingsBatch(textsToEmbed);
+      const embeddings = await this.generateEmbeddingsBatch(textsToEmbed, roomId);
+      const client = this.redisClient.getClient();
       
       for (let i = 0; i < chunks.length; i++) {
         const chunk = chunks[i];
@@ -183,7 +236,7 @@ export class VectorDB {
     
     // Single entry
     const entryId = `${roomId}:knowledge:${uuidv4()}`;
-    const embedding = await this.generateEmbedding(`${topic} ${content}`);
+    const embedding = await this.generateEmbedding(`${topic} ${content}`, roomId);
     
     const entry = {
       id: entryId,
@@ -241,7 +294,7 @@ export class VectorDB {
     if (entries.length === 0) return [];
 
     // Generate query embedding once
-    const queryEmbedding = await this.generateEmbedding(query);
+    const queryEmbedding = await this.generateEmbedding(query, roomId);
     const queryLower = query.toLowerCase();
     const queryTerms = this._extractTerms(queryLower);
 
@@ -569,7 +622,7 @@ export class VectorDB {
     // Delete index and tag sets
     const keys = await client.keys(`${roomId}:knowledge*`);
     const tagKeys = await client.keys(`${roomId}:tag:*`);
-    const allKeys = [...keys, ...tagKeys];
+    const allKeys = [...keys, ...tagKeys, `${roomId}:embedding_meta`];
 
     if (allKeys.length > 0) {
       await client.del(allKeys);
@@ -584,9 +637,13 @@ export class VectorDB {
     const entryCount = await client.zCard(`${roomId}:knowledge`);
     const tagKeys = await client.keys(`${roomId}:tag:*`);
     
+    const embedding = await this.getEmbeddingInfo(roomId);
+    
     return {
       entryCount,
-      tagCount: tagKeys.length
+      tagCount: tagKeys.length,
+      embeddingProvider: embedding.provider,
+      embeddingDimensions: embedding.dimensions
     };
   }
 }
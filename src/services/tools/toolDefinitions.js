@@ -173,6 +173,21 @@ export const geminiToolDeclarations = {
   }))
 };
 
+// Convert selected tools to OpenAI function-tool format
+// (accepted by LangChain's bindTools() for Gemini and every other provider)
+export function getToolSchemas(names) {
+  return tools
+    .filter(tool => names.includes(tool.name))
+    .map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+}
+
 // Tool name constants for type safety
 export const TOOLS = {
   READ_FILE_SECTION: 'read_file_section',
@@ -17,7 +17,7 @@ export class ToolExecutor {
     try {
       switch (toolName) {
         case TOOLS.READ_FILE_SECTION:
-          return this.executeReadFileSection(args);
+          return await this.executeReadFileSection(args, roomId);
 
         case TOOLS.CREATE_KNOWLEDGE_ENTRY:
           return await this.executeCreateKnowledgeEntry(args, roomId, userId);
@@ -47,7 +47,7 @@ export class ToolExecutor {
   }
 
   // Read file section tool
-  executeReadFileSection(args) {
+  async executeReadFileSection(args, roomId) {
     const { file_id, start_chunk, end_chunk, start_page, end_page } = args;
 
     if (!file_id) {
@@ -58,7 +58,7 @@ export class ToolExecutor {
     const start = start_chunk ?? (start_page ? start_page - 1 : 0);
     const end = end_chunk ?? (end_page ? end_page - 1 : start);
 
-    const result = this.fileStorage.readFileSection(file_id, start, end);
+    const result = await this.fileStorage.readFileSection(roomId, file_id, start, end);
     return result;
   }
 
@@ -70,7 +70,7 @@ export class ToolExecutor {
       return { error: 'topic and content are required' };
     }
 
-    const entry = await this.vectorDB.createKnowledgeEntry(
+    const [entry] = await this.vectorDB.createKnowledgeEntry(
       roomId,
       userId,
       topic,
@@ -157,7 +157,7 @@ export class ToolExecutor {
     // 1. Add to knowledge base (vector DB)
     let knowledgeEntry;
     try {
-      knowledgeEntry = await this.vectorDB.createKnowledgeEntry(
+      [knowledgeEntry] = await this.vectorDB.createKnowledgeEntry(
         roomId,
         userId,
         title,
@@ -1,13 +1,14 @@
 import io from 'socket.io-client';
 
 const API_URL = 'http://localhost:3000';
-const socket = io(API_URL, { transports: ['websocket', 'polling'] });
+// Sockets must present a space token and join that space
+const { spaceId, inviteToken } = await (await fetch(`${API_URL}/api/space/create`, { method: 'POST' })).json();
+const socket = io(API_URL, { transports: ['websocket', 'polling'], auth: { token: inviteToken } });
 
 socket.on('connect', () => {
   console.log('Connected');
   socket.emit('room:join', {
-    roomId: 'simple-test-' + Date.now(),
-    userId: 'test-user',
+    roomId: spaceId,
     userName: 'Tester'
   });
 });
@@ -0,0 +1,86 @@
+// Restoring a canvas version puts that version back whole: what was added
+// since (contributions, deleted topics, pins and edits) is gone afterwards.
+// Runs against an in-memory stand-in for Redis - no server needed.
+import assert from 'node:assert/strict';
+
+process.env.LLM_PROVIDER ||= 'openai';
+process.env.OPENAI_API_KEY ||= 'test';
+const { LangGraphAgent } = await import('./src/services/agent/langGraphAgent.js');
+
+const ROOM = 'test-restore';
+
+const store = new Map();
+const versions = [];
+const redisClient = new Proxy({
+  withRoomLock: async (roomId, fn) => fn(),
+  getRoomState: async (roomId) => store.get(`${roomId}:state`) || null,
+  saveRoomState: async (roomId, state) => store.set(`${roomId}:state`, state),
+  getCanvas: async (roomId) => structuredClone(store.get(`${roomId}:canvas`) || null),
+  saveCanvas: async (roomId, canvas) => store.set(`${roomId}:canvas`, structuredClone(canvas)),
+  addCanvasVersion: async (roomId, entry) => versions.unshift(structuredClone(entry)),
+  getCanvasVersions: async () => versions
+}, {
+  // Everything else (work queue, rate limits, ...) is a no-op
+  get: (target, key) => target[key] || (async () => null)
+});
+const io = { on() {}, to: () => ({ emit() {} }), serverSideEmit() {} };
+const vectorDB = { createKnowledgeEntry: async () => {}, searchKnowledge: async () => [] };
+
+console.log('Testing canvas restore...\n');
+
+let failed = false;
+try {
+  const agent = new LangGraphAgent(redisClient, {}, vectorDB, io);
+  await agent.loadRoom(ROOM, 'owner');
+  const room = agent.roomStates.get(ROOM);
+  room.memoryManager = null;
+
+  await room.canvasState.update({
+    centralIdea: 'Launch',
+    hierarchy: [{ title: 'Pricing', content: 'Tiers' }, { title: 'Hiring', content: 'Roles' }]
+  }, { type: 'refresh', userId: 'system', userName: 'System' });
+  const restored = structuredClone(room.canvasState.get());
+  const [pricing, hiring] = restored.hierarchy;
+
+  // Changes made after version 1
+  await agent.executeContributeTool({ type: 'insight', title: 'Pricing', content: 'Go cheap.' }, { roomId: ROOM, userId: 'u1', userName: 'Ann' });
+  await agent.pinCanvasNode(ROOM, pricing.id, true, 'u1', 'Ann');
+  await agent.editCanvasNode(ROOM, pricing.id, { title: 'Pricing plans' }, 'u1', 'Ann');
+  await agent.deleteCanvasNode(ROOM, hiring.id, 'u1', 'Ann');
+
+  const before = room.canvasState.get();
+  assert.equal(before.contributions.length, 1);
+  assert.deepEqual(before.removedTopics, ['Hiring']);
+
+  // Restore
+  console.log('1. Restoring version 1...');
+  const result = await agent.restoreCanvasVersion(ROOM, restored.version, 'owner', 'Owner');
+  assert.equal(result.success, true);
+
+  const canvas = room.canvasState.get();
+  assert.equal(canvas.version, result.newVersion);
+  assert.equal('contributions' in canvas, false, 'contributions left behind');
+  assert.equal('removedTopics' in canvas, false, 'removed topics left behind');
+  const node = canvas.hierarchy.find(n => n.id === pricing.id);
+  assert.equal(node.title, 'Pricing');
+  assert.equal('pinned' in node, false, 'pin left behind');
+  assert.equal('editedBy' in node, false, 'edit left behind');
+  assert.ok(canvas.hierarchy.some(n => n.id === hiring.id), 'deleted topic not back');
+  console.log('   ✅ Canvas is version 1 again');
+
+  // The restored canvas matches version 1 exactly
+  console.log('\n2. Comparing with version 1...');
+  const { diff } = await agent.diffCanvasVersions(ROOM, restored.version);
+  assert.deepEqual(diff, { centralIdea: null, added: [], removed: [], moved: [], changed: [] });
+  const { version: _version, lastUpdated: _lastUpdated, ...content } = canvas;
+  const { version: _v, lastUpdated: _l, ...expected } = restored;
+  assert.deepEqual(content, expected);
+  console.log('   ✅ No differences');
+} catch (error) {
+  failed = true;
+  console.log('   ❌', error.message);
+}
+
+console.log(failed ? '\n❌ Canvas restore test failed' : '\n✅ Canvas restore test passed');
+// The agent keeps timers running
+process.exit(failed ? 1 : 0);
@@ -32,7 +32,7 @@ test('Server is healthy', () => {
 // Test 2: Space Creation
 console.log('\n📋 Test 2: Space Creation');
 const spaceRes = await (await fetch(`${API_URL}/api/space/create`, { method: 'POST' })).json();
-const spaceId = spaceRes.spaceId;
+const { spaceId, inviteToken } = spaceRes;
 test('Space created with ID', () => {
   if (!spaceId) throw new Error('No space ID');
 });
@@ -44,12 +44,11 @@ const sockets = [];
 const messages = [];
 
 await Promise.all(users.map(name => new Promise((resolve, reject) => {
-  const socket = io(API_URL, { transports: ['websocket', 'polling'] });
+  const socket = io(API_URL, { transports: ['websocket', 'polling'], auth: { token: inviteToken } });
   
   socket.on('connect', () => {
     socket.emit('room:join', {
       roomId: spaceId,
-      userId: `user-${name.toLowerCase()}`,
       userName: name
     });
   });
@@ -4,13 +4,14 @@ const API_URL = 'http://localhost:3000';
 
 console.log('Testing agent with debug...\n');
 
-const socket = io(API_URL, { transports: ['websocket', 'polling'] });
+// Sockets must present a space token and join that space
+const { spaceId, inviteToken } = await (await fetch(`${API_URL}/api/space/create`, { method: 'POST' })).json();
+const socket = io(API_URL, { transports: ['websocket', 'polling'], auth: { token: inviteToken } });
 
 socket.on('connect', () => {
   console.log('Connected');
   socket.emit('room:join', {
-    roomId: 'debug-test-' + Date.now(),
-    userId: 'debug-user',
+    roomId: spaceId,
     userName: 'Debugger'
   });
 });
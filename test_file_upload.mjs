@@ -4,7 +4,9 @@ const API_URL = 'http://localhost:3000';
 
 console.log('Testing file upload with intelligent chunking...\n');
 
-const socket = io(API_URL, { transports: ['websocket', 'polling'] });
+// Sockets must present a space token and join that space
+const { spaceId, inviteToken } = await (await fetch(`${API_URL}/api/space/create`, { method: 'POST' })).json();
+const socket = io(API_URL, { transports: ['websocket', 'polling'], auth: { token: inviteToken } });
 
 // Create a sample text that will demonstrate chunking
 const sampleDoc = `
@@ -50,8 +52,7 @@ The field continues to evolve rapidly. Research directions include artificial ge
 socket.on('connect', () => {
   console.log('✅ Connected');
   socket.emit('room:join', {
-    roomId: 'file-test-' + Date.now(),
-    userId: 'test-user',
+    roomId: spaceId,
     userName: 'Test User'
   });
 });
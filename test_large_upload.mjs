@@ -37,13 +37,14 @@ console.log(`Generated document: ${largeDoc.length.toLocaleString()} characters`
 console.log(`Estimated tokens: ${Math.ceil(largeDoc.length / 4).toLocaleString()}`);
 console.log(`Estimated chunks: ${Math.ceil(largeDoc.length / 4 / 512)}\n`);
 
-const socket = io(API_URL, { transports: ['websocket', 'polling'] });
+// Sockets must present a space token and join that space
+const { spaceId, inviteToken } = await (await fetch(`${API_URL}/api/space/create`, { method: 'POST' })).json();
+const socket = io(API_URL, { transports: ['websocket', 'polling'], auth: { token: inviteToken } });
 
 socket.on('connect', () => {
   console.log('✅ Connected');
   socket.emit('room:join', {
-    roomId: 'large-file-test-' + Date.now(),
-    userId: 'test-user',
+    roomId: spaceId,
     userName: 'Large File Tester'
   });
 });
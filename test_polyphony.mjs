@@ -1,6 +1,5 @@
 import io from 'socket.io-client';
 
-const TEST_ROOM = 'test-polyphony-' + Date.now();
 const API_URL = 'http://localhost:3000';
 
 console.log('Testing Polyphony.live...\n');
@@ -17,11 +16,11 @@ try {
 
 // Test 2: Create space
 console.log('\n2. Testing space creation...');
-let spaceId;
+let spaceId, inviteToken;
 try {
   const response = await fetch(`${API_URL}/api/space/create`, { method: 'POST' });
   const data = await response.json();
-  spaceId = data.spaceId;
+  ({ spaceId, inviteToken } = data);
   console.log('   ✅ Space created:', spaceId);
 } catch (e) {
   console.log('   ❌ Space creation failed:', e.message);
@@ -35,14 +34,13 @@ const users = ['Alice', 'Bob', 'Carol'];
 const sockets = [];
 
 for (const userName of users) {
-  const socket = io(API_URL, { transports: ['websocket', 'polling'] });
+  const socket = io(API_URL, { transports: ['websocket', 'polling'], auth: { token: inviteToken } });
   
   await new Promise((resolve, reject) => {
     socket.on('connect', () => {
       console.log(`   ✅ ${userName} connected (${socket.id})`);
       socket.emit('room:join', {
         roomId: spaceId,
-        userId: `user-${userName.toLowerCase()}`,
         userName: userName
       });
     });